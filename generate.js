@@ -7,291 +7,105 @@
 
 const fs = require('fs');
 const path = require('path');
+const { spawn } = require('child_process');
+const { parseArgs } = require('util');
 const yaml = require('js-yaml');
+const { locate, formatPath } = require('./generator/yaml');
+const { validateResume, formatIssues } = require('./generator/schema');
+const { buildResumeModel } = require('./generator/model');
+const { resolveTheme } = require('./generator/themes');
+const { LOCALE_PATTERN, knownLocale, textDirection, languageName, deepMerge, resolveLocales } = require('./generator/i18n');
+const { loadTemplate, isTemplatePath } = require('./generator/templates');
+const { renderPdf } = require('./generator/pdf');
+const { fromJsonResume, toJsonResume } = require('./generator/json-resume');
+const { readLinkedInExport, fromLinkedInExport } = require('./generator/linkedin');
+const { buildMetadata, buildPersonSchema, generateSitemap, generateRobots, siteSettings } = require('./generator/seo');
+const { parseParagraphs, parseText } = require('./generator/markdown');
+const { collectImages, processImages, pageImage } = require('./generator/images');
+const { toLiteral } = require('./generator/utils');
+const { unifiedDiff } = require('./generator/diff');
+const { variantNames, selectVariant } = require('./generator/variants');
+const { localOverridePath, mergeOver, loadComposed, substituteEnv } = require('./generator/compose');
 
-// Color helper functions
-function escapeHtml(text) {
-  if (!text) return '';
-  return String(text)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#039;');
+// What a template gets besides the model, see generator/templates
+function templateContext(resume, locales) {
+  return { resume, locales, theme: resolveTheme(resume), basePath: siteSettings(resume).basePath };
 }
 
-function formatMultiline(text) {
-  if (!text) return '';
-  return text.split('\n').map(line => line.trim()).filter(line => line).join('\n');
-}
-
-// Generate page.tsx
-function generatePage(resume) {
-  const { personal, summary, experience, projects, volunteering, skills, education, languages } = resume;
-  
-  const nameParts = personal.name.split(' ');
-  const firstName = nameParts[0] || '';
-  const lastName = nameParts.slice(1).join(' ') || '';
-  
-  const links = [];
-  if (personal.links.github) {
-    links.push({ icon: 'Github', label: personal.links.github.username, href: personal.links.github.url });
+// The files of one page, rendered by the template resume.yaml selects; a
+// custom template's path is relative to `baseDir`, the directory of resume.yaml
+function renderPageFiles(resume, { locales, now, baseDir }) {
+  const template = loadTemplate(resume.template, baseDir);
+  const files = template.render(buildResumeModel(resume, { now }), templateContext(resume, locales));
+  if (!files || typeof files['page.tsx'] !== 'string') {
+    throw new Error(`template "${resume.template}" did not return a page.tsx`);
   }
-  if (personal.links.linkedin) {
-    links.push({ icon: 'Linkedin', label: 'LinkedIn', href: personal.links.linkedin.url });
-  }
-  if (personal.links.email) {
-    links.push({ icon: 'Mail', label: 'Email', href: `mailto:${personal.links.email.address}` });
-  }
-  if (personal.links.telegram) {
-    links.push({ icon: 'MessageCircle', label: personal.links.telegram.username, href: personal.links.telegram.url });
-  }
-  
-  return `"use client"
+  return files;
+}
 
-import { useState, useEffect } from "react"
-import { ${links.map(l => l.icon).join(', ')} } from "lucide-react"
+// Generate page.tsx; `locales` lists every locale when the resume has
+// translations, and `variant` names the variant to render (generator/variants.js)
+function generatePage(resume, { locales = [], now, variant = null, baseDir } = {}) {
+  return renderPageFiles(selectVariant(resume, variant), { locales, now, baseDir })['page.tsx'];
+}
 
-export default function Home() {
-  const [image, setImage] = useState<HTMLImageElement | null>(null)
+// A section with its Markdown fields parsed into nodes (generator/markdown.js)
+// and its images resolved; the summary keeps every line break, as it is shown
+// line by line
+function richSection(section, images, basePath) {
+  if (section.layout === 'text') {
+    const { text, ...rest } = section;
+    return { ...rest, paragraphs: parseParagraphs(text, { breaks: true }) };
+  }
+  if (!section.items) return section;
+  return {
+    ...section,
+    items: section.items.map(item => ({
+      ...item,
+      description: item.description ? parseText(item.description) : undefined,
+      points: item.points && item.points.map(point => parseText(point)),
+      images: item.images && item.images.map(image => pageImage(image, images, basePath)),
+      logo: item.logo && pageImage(item.logo, images, basePath),
+      roles: item.roles && item.roles.map(role => ({
+        ...role,
+        points: role.points.map(point => parseText(point)),
+      })),
+    })),
+  };
+}
 
-  useEffect(() => {
-    const img = new Image()
-    img.crossOrigin = "anonymous"
-    img.onload = () => {
-      setImage(img)
-    }
-    img.src = "/${personal.photo}"
-  }, [])
+// Generate resume.ts, the data the page components render. Every value is
+// written as a JSON-escaped literal, so resume text never becomes code.
+// `now` (default: today) is when ongoing entries end, for their durations;
+// `route` is the path of a variant's page below its locale, which the
+// language links keep.
+function generateResumeData(source, { locales = [], images, now, variant = null, route = '' } = {}) {
+  const resume = selectVariant(source, variant);
+  const model = buildResumeModel(resume, { now });
+  const theme = resolveTheme(resume);
+  const { basePath } = siteSettings(resume);
+  const data = {
+    ...model,
+    sections: model.sections.map(section => richSection(section, images, basePath)),
+    photo: pageImage(model.photo, images, basePath),
+    locales: locales.map(locale => ({ locale, name: languageName(locale), href: `/${locale}/${route ? `${route}/` : ''}` })),
+    themeToggle: theme.themed && theme.toggle,
+  };
+  return `import type { ResumeData } from "@/components/resume/types"
 
-  return (
-    <main className="min-h-screen bg-background text-foreground relative overflow-hidden">
-      <div className="fixed inset-0 pointer-events-none opacity-10">
-        <div className="absolute top-0 left-0 w-96 h-96 bg-primary rounded-full blur-3xl"></div>
-        <div className="absolute bottom-0 right-0 w-96 h-96 bg-primary rounded-full blur-3xl"></div>
-      </div>
-
-      <div className="relative z-10 max-w-7xl mx-auto px-6 py-8 md:py-12">
-        <header className="mb-16">
-          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 lg:gap-12 items-center">
-            <div className="order-2 lg:order-1 flex justify-center lg:justify-start">
-              <div className="relative w-full max-w-lg aspect-4/3 rounded-2xl overflow-hidden border-4 border-primary shadow-2xl">
-                {image ? (
-                    <img
-                    src={image.src}
-                    alt="Profile"
-                    className="w-full h-full object-cover"
-                  />
-                ) : (
-                  <div className="w-full h-full bg-card flex items-center justify-center">
-                    <div className="text-muted-foreground">Loading...</div>
-                  </div>
-                )}
-              </div>
-            </div>
-
-            <div className="order-1 lg:order-2">
-              <h1 className="text-4xl md:text-5xl lg:text-6xl font-bold mb-4 text-foreground leading-tight">
-                ${escapeHtml(firstName).toUpperCase()}<br />${escapeHtml(lastName).toUpperCase()}
-              </h1>
-              <p className="text-xl md:text-2xl lg:text-3xl text-primary mb-8 font-medium">
-                ${escapeHtml(personal.title)}
-              </p>
-              <div className="flex flex-wrap gap-4 text-sm md:text-base text-muted-foreground">
-${links.map(link => {
-  const attrs = link.href.startsWith('http') ? 'target="_blank"\n                  rel="noopener noreferrer"' : '';
-  return `                <a
-                  href="${escapeHtml(link.href)}"
-                  ${attrs}
-                  className="flex items-center gap-2 hover:text-primary transition-colors px-4 py-2 rounded-lg hover:bg-card"
-                >
-                  <${link.icon} className="w-5 h-5" />
-                  ${escapeHtml(link.label)}
-                </a>`;
-}).join('\n')}
-              </div>
-            </div>
-          </div>
-        </header>
-
-        <div className="max-w-5xl mx-auto space-y-16">
-          <section>
-            <h2 className="text-3xl font-bold mb-6 text-primary border-b-2 border-primary pb-3 inline-block">
-              SUMMARY
-            </h2>
-            <p className="text-foreground leading-relaxed text-lg whitespace-pre-line">
-              ${escapeHtml(summary)}
-            </p>
-          </section>
-
-          <section>
-            <h2 className="text-3xl font-bold mb-8 text-primary border-b-2 border-primary pb-3 inline-block">
-              PROFESSIONAL EXPERIENCE
-            </h2>
-            
-            <div className="space-y-10">
-${experience.map(exp => `              <div className="relative pl-8 border-l-4 border-primary">
-                <div className="absolute -left-2 top-0 w-4 h-4 bg-primary rounded-full"></div>
-                <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-3">
-                  <h3 className="text-2xl font-semibold text-foreground">
-                    ${escapeHtml(exp.title)}
-                  </h3>
-                  <span className="text-primary font-medium text-lg">${escapeHtml(exp.period)}</span>
-                </div>
-                <p className="text-primary mb-5 font-medium text-lg">${escapeHtml(exp.company)}</p>
-                <ul className="space-y-2.5 text-foreground list-none">
-${exp.responsibilities.map(resp => `                  <li className="flex items-start gap-3">
-                    <span className="text-primary mt-2">▸</span>
-                    <span>${escapeHtml(resp)}</span>
-                  </li>`).join('\n')}
-                </ul>
-              </div>`).join('\n\n')}
-            </div>
-          </section>
-
-          <section>
-            <h2 className="text-3xl font-bold mb-8 text-primary border-b-2 border-primary pb-3 inline-block">
-              PROJECTS
-            </h2>
-            
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-${projects.map(proj => {
-  const spanClass = proj.span === 2 ? 'md:col-span-2' : '';
-  return `              <div className="bg-card p-6 rounded-xl border-2 border-border hover:border-primary transition-colors shadow-lg ${spanClass}">
-                <div className="flex flex-col mb-4">
-                  <h3 className="text-xl font-semibold text-foreground mb-2">
-                    ${escapeHtml(proj.title)}
-                  </h3>
-                  <span className="text-primary font-medium">${escapeHtml(proj.period)}</span>
-                </div>
-${proj.description ? `                <p className="text-foreground mb-3 text-sm">${escapeHtml(proj.description.trim())}</p>` : ''}
-${proj.points && proj.points.length > 0 ? `                <ul className="space-y-2 text-foreground list-none">
-${proj.points.map(point => `                  <li className="flex items-start gap-2">
-                    <span className="text-primary mt-1.5 text-xs">▸</span>
-                    <span className="text-sm">${escapeHtml(point)}</span>
-                  </li>`).join('\n')}
-                </ul>` : ''}
-              </div>`;
-}).join('\n\n')}
-            </div>
-          </section>
-
-${volunteering && volunteering.length > 0 ? `<section>
-            <h2 className="text-3xl font-bold mb-6 text-primary border-b-2 border-primary pb-3 inline-block">
-              VOLUNTEERING
-            </h2>
-            
-            <div className="space-y-6">
-${volunteering.map(vol => `              <div className="bg-card p-6 rounded-xl border-2 border-border shadow-lg">
-                <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-3">
-                  <h3 className="text-xl font-semibold text-foreground">
-                    ${escapeHtml(vol.title)}
-                  </h3>
-                  <span className="text-primary font-medium">${escapeHtml(vol.period)}</span>
-                </div>
-                ${vol.organization ? `<p className="text-primary mb-3 font-medium text-lg">${escapeHtml(vol.organization)}</p>` : ''}
-                <p className="text-foreground">
-                  ${escapeHtml(vol.description)}
-                </p>
-${vol.link ? `                <br />
-                <a href="${escapeHtml(vol.link.url)}" target="_blank" rel="noopener noreferrer" className="text-primary font-bold">${escapeHtml(vol.link.text)}</a>` : ''}
-              </div>`).join('\n\n')}
-            </div>
-          </section>` : ''}
-
-          <section>
-            <h2 className="text-3xl font-bold mb-8 text-primary border-b-2 border-primary pb-3 inline-block">
-              SKILLS
-            </h2>
-            
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-              <div className="bg-card p-6 rounded-xl border-2 border-border shadow-lg">
-                <h3 className="font-semibold text-primary mb-4 text-lg">Technologies</h3>
-                <div className="flex flex-wrap gap-2">
-                  {[${skills.technologies.map(s => `"${escapeHtml(s)}"`).join(', ')}].map((skill) => (
-                    <span
-                      key={skill}
-                      className="px-3 py-1.5 bg-primary/20 text-primary rounded-lg text-sm font-medium"
-                    >
-                      {skill}
-                    </span>
-                  ))}
-                </div>
-              </div>
-              
-              <div className="bg-card p-6 rounded-xl border-2 border-border shadow-lg">
-                <h3 className="font-semibold text-primary mb-4 text-lg">Platforms & Tools</h3>
-                <div className="flex flex-wrap gap-2">
-                  {[${skills.platforms.map(s => `"${escapeHtml(s)}"`).join(', ')}].map((skill) => (
-                    <span
-                      key={skill}
-                      className="px-3 py-1.5 bg-primary/20 text-primary rounded-lg text-sm font-medium"
-                    >
-                      {skill}
-                    </span>
-                  ))}
-                </div>
-              </div>
-              
-              <div className="bg-card p-6 rounded-xl border-2 border-border shadow-lg">
-                <h3 className="font-semibold text-primary mb-4 text-lg">Soft Skills</h3>
-                <div className="flex flex-wrap gap-2">
-                  {[${skills.soft.map(s => `"${escapeHtml(s)}"`).join(', ')}].map((skill) => (
-                    <span
-                      key={skill}
-                      className="px-3 py-1.5 bg-primary/20 text-primary rounded-lg text-sm font-medium"
-                    >
-                      {skill}
-                    </span>
-                  ))}
-                </div>
-              </div>
-            </div>
-          </section>
-
-          <section>
-            <h2 className="text-3xl font-bold mb-8 text-primary border-b-2 border-primary pb-3 inline-block">
-              EDUCATION
-            </h2>
-            
-            <div className="space-y-6">
-${education.map(edu => `              <div className="bg-card p-6 rounded-xl border-2 border-border shadow-lg">
-                <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-2">
-                  <h3 className="text-xl font-semibold text-foreground">
-                    ${escapeHtml(edu.degree)}
-                  </h3>
-                  <span className="text-primary font-medium">${escapeHtml(edu.period)}</span>
-                </div>
-                <p className="text-muted-foreground">${escapeHtml(edu.institution)}</p>
-              </div>`).join('\n\n')}
-            </div>
-          </section>
-
-          <section className="pb-12">
-            <h2 className="text-3xl font-bold mb-6 text-primary border-b-2 border-primary pb-3 inline-block">
-              LANGUAGES
-            </h2>
-            
-            <div className="bg-card p-6 rounded-xl border-2 border-border shadow-lg">
-              <ul className="space-y-3 text-foreground list-none">
-${languages.map(lang => `                <li className="flex items-center gap-3">
-                  <span className="text-primary text-xl">▸</span>
-                  <span className="text-lg">${escapeHtml(lang)}</span>
-                </li>`).join('\n')}
-              </ul>
-            </div>
-          </section>
-        </div>
-      </div>
-    </main>
-  )
-}
+export const resume: ResumeData = ${toLiteral(data)}
 `;
 }
 
-// Generate layout.tsx
-function generateLayout(resume) {
-  const { personal, fonts } = resume;
+// Generate layout.tsx. With translations every locale has its own root
+// layout (app/<locale>/layout.tsx, hence `nested`) so <html> gets its lang;
+// `route` is the path of its page ('' or the locale) for the canonical URL.
+function generateLayout(source, { locales = [], nested = false, route = '', variant = null } = {}) {
+  const resume = selectVariant(source, variant);
+  const { fonts } = resume;
+  const theme = resolveTheme(resume);
+  const locale = resume.locale || 'en';
+  const rtl = textDirection(locale) === 'rtl';
   const sansFont = fonts?.sans || 'Geist';
   const monoFont = fonts?.mono || 'Geist Mono';
   
@@ -303,18 +117,25 @@ function generateLayout(resume) {
   const sansFontVar = '_sans';
   const monoFontVar = '_mono';
   
+  // With a theme, next-themes sets the light/dark class on <html>
+  const content = theme.themed
+    ? `<ThemeProvider attribute="class" defaultTheme="${theme.mode}" enableSystem={${theme.mode === 'system'}} disableTransitionOnChange>
+          {children}
+        </ThemeProvider>`
+    : '{children}';
+  
   return `import type React from "react"
 import type { Metadata } from "next"
 import { ${sansFontImport}, ${monoFontImport} } from "next/font/google"
-import "./globals.css"
+${theme.themed ? 'import { ThemeProvider } from "@/components/theme-provider"\n' : ''}import "${nested ? '../globals.css' : './globals.css'}"
 
 const ${sansFontVar} = ${sansFontImport}({ subsets: ["latin"] })
 const ${monoFontVar} = ${monoFontImport}({ subsets: ["latin"] })
 
-export const metadata: Metadata = {
-  title: "${escapeHtml(personal.name)}",
-  description: "Resume Website",
-}
+export const metadata: Metadata = ${toLiteral(buildMetadata(resume, { route, locales }))}
+
+// schema.org Person, read by search engines
+const person = ${toLiteral(buildPersonSchema(resume, { route }))}
 
 export default function RootLayout({
   children,
@@ -322,9 +143,13 @@ export default function RootLayout({
   children: React.ReactNode
 }>) {
   return (
-    <html lang="en">
+    <html lang="${locale}"${rtl ? ' dir="rtl"' : ''}${theme.themed ? ' suppressHydrationWarning' : ''}>
       <body className={\`font-sans antialiased\`}>
-        {children}
+        <script
+          type="application/ld+json"
+          dangerouslySetInnerHTML={{ __html: JSON.stringify(person).replace(/</g, "\\\\u003c") }}
+        />
+        ${content}
       </body>
     </html>
   )
@@ -332,10 +157,100 @@ export default function RootLayout({
 `;
 }
 
+// Generate the layout.tsx of a variant's route: only the variant's metadata,
+// as the layout of the site (or of its locale) is the root layout. `locales`
+// lists every locale, whose pages of the variant are its alternates
+function generateVariantLayout(resume, { variant, route, locales = [] }) {
+  return `import type React from "react"
+import type { Metadata } from "next"
+
+export const metadata: Metadata = ${toLiteral(buildMetadata(selectVariant(resume, variant), { route, locales, variant }))}
+
+export default function VariantLayout({
+  children,
+}: Readonly<{
+  children: React.ReactNode
+}>) {
+  return <>{children}</>
+}
+`;
+}
+
+// Generate the page at / for a multilingual resume: it sends visitors to
+// the locale their browser prefers, or the default (first) one
+function generateLocaleRedirect(locales) {
+  return `"use client"
+
+import { useEffect } from "react"
+import { useRouter } from "next/navigation"
+import Link from "next/link"
+
+const locales = ${toLiteral(locales.map(locale => ({ locale, name: languageName(locale) })))}
+
+export default function Home() {
+  const router = useRouter()
+
+  useEffect(() => {
+    const preferred = navigator.languages.flatMap((language) => [language, language.split("-")[0]])
+    const match = preferred
+      .map((language) => locales.find(({ locale }) => locale.toLowerCase() === language.toLowerCase()))
+      .find(Boolean)
+    router.replace(\`/\${(match ?? locales[0]).locale}/\`)
+  }, [router])
+
+  return (
+    <main className="min-h-screen bg-background text-foreground flex items-center justify-center gap-4">
+      {locales.map(({ locale, name }) => (
+        <Link key={locale} href={\`/\${locale}/\`} hrefLang={locale} lang={locale} className="px-4 py-2 rounded-lg text-primary hover:bg-card transition-colors">
+          {name}
+        </Link>
+      ))}
+    </main>
+  )
+}
+`;
+}
+
+// CSS custom properties for one palette
+function paletteVariables(palette) {
+  return `  --background: ${palette.background};
+  --foreground: ${palette.foreground};
+  --card: ${palette.card};
+  --card-foreground: ${palette.cardForeground};
+  --popover: ${palette.popover};
+  --popover-foreground: ${palette.popoverForeground};
+  --primary: ${palette.primary};
+  --primary-foreground: ${palette.primaryForeground};
+  --secondary: ${palette.secondary};
+  --secondary-foreground: ${palette.secondaryForeground};
+  --muted: ${palette.muted};
+  --muted-foreground: ${palette.mutedForeground};
+  --accent: ${palette.accent};
+  --accent-foreground: ${palette.accentForeground};
+  --destructive: ${palette.destructive};
+  --destructive-foreground: ${palette.destructiveForeground};
+  --border: ${palette.border};
+  --input: ${palette.input};
+  --ring: ${palette.ring};
+  --chart-1: ${palette.chart1};
+  --chart-2: ${palette.chart2};
+  --chart-3: ${palette.chart3};
+  --chart-4: ${palette.chart4};
+  --chart-5: ${palette.chart5};
+  --sidebar: ${palette.card};
+  --sidebar-foreground: ${palette.foreground};
+  --sidebar-primary: ${palette.primary};
+  --sidebar-primary-foreground: ${palette.primaryForeground};
+  --sidebar-accent: ${palette.secondary};
+  --sidebar-accent-foreground: ${palette.secondaryForeground};
+  --sidebar-border: ${palette.border};
+  --sidebar-ring: ${palette.ring};`;
+}
+
 // Generate globals.css
 function generateGlobalsCss(resume) {
-  const colors = resume.colors || {};
   const fonts = resume.fonts || {};
+  const theme = resolveTheme(resume);
   
   return `@import "tailwindcss";
 @import "tw-animate-css";
@@ -343,74 +258,12 @@ function generateGlobalsCss(resume) {
 @custom-variant dark (&:is(.dark *));
 
 :root {
-  --background: ${colors.background || '#020202'};
-  --foreground: ${colors.foreground || '#CECFC7'};
-  --card: ${colors.card || '#1a1a1a'};
-  --card-foreground: ${colors.cardForeground || '#CECFC7'};
-  --popover: ${colors.popover || '#1a1a1a'};
-  --popover-foreground: ${colors.popoverForeground || '#CECFC7'};
-  --primary: ${colors.primary || '#3E6259'};
-  --primary-foreground: ${colors.primaryForeground || '#CECFC7'};
-  --secondary: ${colors.secondary || '#2a2a2a'};
-  --secondary-foreground: ${colors.secondaryForeground || '#CECFC7'};
-  --muted: ${colors.muted || '#2a2a2a'};
-  --muted-foreground: ${colors.mutedForeground || '#9a9a9a'};
-  --accent: ${colors.accent || '#3E6259'};
-  --accent-foreground: ${colors.accentForeground || '#CECFC7'};
-  --destructive: ${colors.destructive || '#dc2626'};
-  --destructive-foreground: ${colors.destructiveForeground || '#CECFC7'};
-  --border: ${colors.border || '#3E6259'};
-  --input: ${colors.input || '#2a2a2a'};
-  --ring: ${colors.ring || '#3E6259'};
-  --chart-1: ${colors.chart1 || '#3E6259'};
-  --chart-2: ${colors.chart2 || '#CECFC7'};
-  --chart-3: ${colors.chart3 || '#5a7a72'};
-  --chart-4: ${colors.chart4 || '#8a9a94'};
-  --chart-5: ${colors.chart5 || '#a0b0aa'};
   --radius: 0.5rem;
-  --sidebar: ${colors.card || '#1a1a1a'};
-  --sidebar-foreground: ${colors.foreground || '#CECFC7'};
-  --sidebar-primary: ${colors.primary || '#3E6259'};
-  --sidebar-primary-foreground: ${colors.primaryForeground || '#CECFC7'};
-  --sidebar-accent: ${colors.secondary || '#2a2a2a'};
-  --sidebar-accent-foreground: ${colors.secondaryForeground || '#CECFC7'};
-  --sidebar-border: ${colors.border || '#3E6259'};
-  --sidebar-ring: ${colors.ring || '#3E6259'};
+${paletteVariables(theme.light)}
 }
 
 .dark {
-  --background: ${colors.background || '#020202'};
-  --foreground: ${colors.foreground || '#CECFC7'};
-  --card: ${colors.card || '#1a1a1a'};
-  --card-foreground: ${colors.cardForeground || '#CECFC7'};
-  --popover: ${colors.popover || '#1a1a1a'};
-  --popover-foreground: ${colors.popoverForeground || '#CECFC7'};
-  --primary: ${colors.primary || '#3E6259'};
-  --primary-foreground: ${colors.primaryForeground || '#CECFC7'};
-  --secondary: ${colors.secondary || '#2a2a2a'};
-  --secondary-foreground: ${colors.secondaryForeground || '#CECFC7'};
-  --muted: ${colors.muted || '#2a2a2a'};
-  --muted-foreground: ${colors.mutedForeground || '#9a9a9a'};
-  --accent: ${colors.accent || '#3E6259'};
-  --accent-foreground: ${colors.accentForeground || '#CECFC7'};
-  --destructive: ${colors.destructive || '#dc2626'};
-  --destructive-foreground: ${colors.destructiveForeground || '#CECFC7'};
-  --border: ${colors.border || '#3E6259'};
-  --input: ${colors.input || '#2a2a2a'};
-  --ring: ${colors.ring || '#3E6259'};
-  --chart-1: ${colors.chart1 || '#3E6259'};
-  --chart-2: ${colors.chart2 || '#CECFC7'};
-  --chart-3: ${colors.chart3 || '#5a7a72'};
-  --chart-4: ${colors.chart4 || '#8a9a94'};
-  --chart-5: ${colors.chart5 || '#a0b0aa'};
-  --sidebar: ${colors.card || '#1a1a1a'};
-  --sidebar-foreground: ${colors.foreground || '#CECFC7'};
-  --sidebar-primary: ${colors.primary || '#3E6259'};
-  --sidebar-primary-foreground: ${colors.primaryForeground || '#CECFC7'};
-  --sidebar-accent: ${colors.secondary || '#2a2a2a'};
-  --sidebar-accent-foreground: ${colors.secondaryForeground || '#CECFC7'};
-  --sidebar-border: ${colors.border || '#3E6259'};
-  --sidebar-ring: ${colors.ring || '#3E6259'};
+${paletteVariables(theme.dark)}
 }
 
 @theme inline {
@@ -465,52 +318,764 @@ function generateGlobalsCss(resume) {
 `;
 }
 
-// Main function
-function main() {
-  const resumeYamlPath = path.join(process.cwd(), 'resume.yaml');
-  const appDir = path.join(process.cwd(), 'app');
-  
-  if (!fs.existsSync(resumeYamlPath)) {
-    console.error('Error: resume.yaml not found!');
-    console.error('Please copy resume.example.yaml to resume.yaml and customize it.');
-    process.exit(1);
+// Every generated file, by path relative to the project root. A resume with
+// translations gets one route per locale (app/<locale>/) and a page at /
+// that picks one; otherwise the site is app/page.tsx as before. Every
+// variant gets a route below the page of each locale (app/<variant>/ or
+// app/<locale>/<variant>/), unless `variant` makes the whole site that variant.
+// A custom template is looked up in `baseDir`, the directory of resume.yaml.
+function generateSite(resume, {
+  images = { images: new Map(), files: new Map() }, now, variant = null, baseDir,
+} = {}) {
+  const locales = resolveLocales(resume);
+  const variants = variant ? [] : variantNames(resume);
+  const files = new Map();
+
+  const addPage = (dir, translated, codes, name, route = '') => {
+    files.set(`${dir}/resume.ts`, generateResumeData(translated, { locales: codes, images: images.images, now, variant: name, route }));
+    for (const [file, content] of Object.entries(renderPageFiles(selectVariant(translated, name), { locales: codes, now, baseDir }))) {
+      files.set(`${dir}/${file}`, content);
+    }
+  };
+
+  // The page of one locale and the pages of its variants
+  const addPages = (dir, translated, codes, locale = '') => {
+    addPage(dir, translated, codes, variant);
+    for (const name of variants) {
+      addPage(`${dir}/${name}`, translated, codes, name, name);
+      const route = locale ? `${locale}/${name}` : name;
+      files.set(`${dir}/${name}/layout.tsx`, generateVariantLayout(translated, { variant: name, route, locales: codes }));
+    }
+  };
+
+  if (locales.length === 1) {
+    addPages('app', locales[0].resume, []);
+    files.set('app/layout.tsx', generateLayout(locales[0].resume, { variant }));
+  } else {
+    const codes = locales.map(({ locale }) => locale);
+    for (const { locale, resume: translated } of locales) {
+      addPages(`app/${locale}`, translated, codes, locale);
+      files.set(`app/${locale}/layout.tsx`, generateLayout(translated, { locales: codes, nested: true, route: locale, variant }));
+    }
+    // A route group, so / has a root layout of its own next to the locales
+    files.set('app/(home)/page.tsx', generateLocaleRedirect(codes));
+    files.set('app/(home)/layout.tsx', generateLayout(locales[0].resume, { locales: codes, nested: true, variant }));
   }
-  
-  try {
-    const resumeYaml = fs.readFileSync(resumeYamlPath, 'utf8');
-    const resume = yaml.load(resumeYaml);
-    
-    // Create app directory if it doesn't exist
-    if (!fs.existsSync(appDir)) {
-      fs.mkdirSync(appDir, { recursive: true });
+
+  files.set('app/globals.css', generateGlobalsCss(resume));
+
+  // public/ is copied into the static export; a sitemap needs site.url
+  const sitemap = generateSitemap(resume, locales.length > 1 ? locales.map(({ locale }) => locale) : [], variants);
+  if (sitemap) files.set('public/sitemap.xml', sitemap);
+  files.set('public/robots.txt', generateRobots(resume));
+  // Read by next.config.mjs, for sites served under a subpath
+  files.set('site.config.json', `${JSON.stringify({ basePath: siteSettings(resume).basePath }, null, 2)}\n`);
+  // Image variants and the icons cut from the photo (generator/images.js)
+  for (const [file, content] of images.files) files.set(file, content);
+  return files;
+}
+
+// Files generated by the previous run are listed here, so files that are no
+// longer generated (a removed translation, say) can be cleaned up
+const MANIFEST = 'app/.generated.json';
+
+// Files written before the manifest existed
+const LEGACY_FILES = ['app/page.tsx', 'app/layout.tsx', 'app/globals.css'];
+
+// Whether a file already holds `content`, a string or (for images) a Buffer
+function sameContent(file, content) {
+  return Buffer.isBuffer(content)
+    ? fs.readFileSync(file).equals(content)
+    : fs.readFileSync(file, 'utf8') === content;
+}
+
+// What the CLI prints besides warnings and errors: --quiet leaves out the
+// progress lines, --verbose adds the files that are up to date
+function createLogger({ quiet = false, verbose = false } = {}) {
+  return {
+    info: (...args) => {
+      if (!quiet) console.log(...args);
+    },
+    detail: (...args) => {
+      if (verbose) console.log(...args);
+    },
+  };
+}
+
+// What writing `files` to `root` would do: { remove, kept, status }, the
+// files generated before that are no longer, the files of the user's own
+// that are never overwritten, and the status ('new', 'changed' or
+// 'unchanged') of every other file in `files` order
+function planSite(root, files) {
+  const manifestPath = path.join(root, MANIFEST);
+  const previous = fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : LEGACY_FILES;
+  const remove = previous.filter(file => !files.has(file) && fs.existsSync(path.join(root, file)));
+  const kept = [];
+  const status = new Map();
+  for (const [file, content] of files) {
+    const target = path.join(root, file);
+    if (!fs.existsSync(target)) {
+      status.set(file, 'new');
+    } else if (!previous.includes(file)) {
+      // Such as a hand-written robots.txt
+      kept.push(file);
+    } else {
+      status.set(file, sameContent(target, content) ? 'unchanged' : 'changed');
+    }
+  }
+  return { remove, kept, status };
+}
+
+// A generated file as the CLI prints it: relative to the current directory,
+// with forward slashes
+function shownPath(root, file) {
+  return path.relative(process.cwd(), path.join(root, file)).split(path.sep).join('/');
+}
+
+// Write the generated files, leaving files whose content did not change
+// untouched so Next.js only reloads what changed. Returns the written files.
+function writeSite(root, files, { log = createLogger() } = {}) {
+  const { remove, kept, status } = planSite(root, files);
+
+  for (const file of remove) {
+    fs.rmSync(path.join(root, file));
+    // Drop the locale folder too once it is empty
+    const dir = path.dirname(path.join(root, file));
+    if (dir !== path.join(root, 'app') && fs.readdirSync(dir).length === 0) fs.rmdirSync(dir);
+    log.info(`✓ Removed ${shownPath(root, file)}`);
+  }
+  for (const file of kept) {
+    console.warn(`! Kept ${shownPath(root, file)}: it was not generated by CV2Web, remove it to have it generated`);
+  }
+
+  const changed = [];
+  for (const [file, state] of status) {
+    if (state === 'unchanged') {
+      log.detail(`✓ ${shownPath(root, file)} is up to date`);
+      continue;
+    }
+    const target = path.join(root, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, files.get(file));
+    changed.push(file);
+    log.info(`✓ Generated ${shownPath(root, file)}`);
+  }
+
+  const manifestPath = path.join(root, MANIFEST);
+  const manifest = `${JSON.stringify([...status.keys()], null, 2)}\n`;
+  if (!fs.existsSync(manifestPath) || fs.readFileSync(manifestPath, 'utf8') !== manifest) {
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+    fs.writeFileSync(manifestPath, manifest);
+  }
+  return changed;
+}
+
+// A diff of a generated file against the file on disk; images only say
+// whether they differ
+function fileDiff(root, file, content) {
+  const target = path.join(root, file);
+  const name = shownPath(root, file);
+  const exists = fs.existsSync(target);
+  if (Buffer.isBuffer(content) || (content === null && !/\.(tsx?|css|json|xml|txt)$/.test(file))) {
+    return `Binary file ${name} ${!exists ? 'is new' : content === null ? 'is removed' : 'differs'}`;
+  }
+  return unifiedDiff(name, exists ? fs.readFileSync(target, 'utf8') : null, content);
+}
+
+// --dry-run and --diff: print what writeSite would do, without writing
+// anything. Returns the files that would change.
+function previewSite(root, files, { log = createLogger(), diff = false } = {}) {
+  const { remove, kept, status } = planSite(root, files);
+  const changed = [];
+
+  for (const file of remove) {
+    changed.push(file);
+    log.info(`- Would remove ${shownPath(root, file)}`);
+    if (diff) console.log(fileDiff(root, file, null));
+  }
+  for (const file of kept) {
+    console.warn(`! Would keep ${shownPath(root, file)}: it was not generated by CV2Web, remove it to have it generated`);
+  }
+  for (const [file, state] of status) {
+    if (state === 'unchanged') {
+      log.detail(`  ${shownPath(root, file)} is up to date`);
+      continue;
     }
-    
-    // Generate files
-    const pageContent = generatePage(resume);
-    const layoutContent = generateLayout(resume);
-    const cssContent = generateGlobalsCss(resume);
-    
-    fs.writeFileSync(path.join(appDir, 'page.tsx'), pageContent);
-    fs.writeFileSync(path.join(appDir, 'layout.tsx'), layoutContent);
-    fs.writeFileSync(path.join(appDir, 'globals.css'), cssContent);
-    
-    console.log('✓ Generated app/page.tsx');
-    console.log('✓ Generated app/layout.tsx');
-    console.log('✓ Generated app/globals.css');
-    console.log('\n✓ Generation complete!');
-    
+    changed.push(file);
+    log.info(`${state === 'new' ? '+ Would generate' : '~ Would update'} ${shownPath(root, file)}`);
+    if (diff) console.log(fileDiff(root, file, files.get(file)));
+  }
+  return changed;
+}
+
+// A YAML file with its includes resolved (generator/compose.js); every file
+// it reads is added to `sources`, which --watch watches. Prints the problem and returns null when
+// a file is missing or not valid YAML.
+function parseYamlFile(filePath, sources) {
+  try {
+    return loadComposed(filePath, sources);
   } catch (error) {
-    console.error('Error generating site:', error.message);
-    if (error.stack) {
-      console.error(error.stack);
+    if (error.name !== 'ComposeError') throw error;
+    console.error(`Error: ${error.message}`);
+    return null;
+  }
+}
+
+// The <suffix> of a resume.<suffix>.yaml file name, or null for other files
+function fileSuffix(resumeYamlPath, name) {
+  const parts = name.split('.');
+  const base = path.basename(resumeYamlPath, '.yaml');
+  return parts.length === 3 && parts[0] === base && parts[2] === 'yaml' ? parts[1] : null;
+}
+
+// Translation files are named after a two-letter language Intl knows, with
+// an optional region: resume.de.yaml, resume.pt-BR.yaml. Three-letter codes
+// are left to `translations`, as bak (Bashkir) or new (Newari) are more
+// likely backups than languages
+const TRANSLATION_FILE = /^[a-z]{2}(-[A-Z]{2})?$/;
+
+// The locale of a resume.<locale>.yaml file name, or null for other files
+function translationLocale(resumeYamlPath, name) {
+  const suffix = fileSuffix(resumeYamlPath, name);
+  return suffix && TRANSLATION_FILE.test(suffix) && knownLocale(suffix) ? suffix : null;
+}
+
+// Merge resume.<locale>.yaml files next to resume.yaml into `translations`,
+// keeping their positions (and file name) for error messages
+function loadTranslationFiles(resumeYamlPath, loaded, sources) {
+  const dir = path.dirname(resumeYamlPath);
+  for (const name of fs.readdirSync(dir).sort()) {
+    const locale = translationLocale(resumeYamlPath, name);
+    if (!locale) {
+      // resume.old.yaml, resume.bak.yaml: looks like a translation, but is not one
+      const suffix = fileSuffix(resumeYamlPath, name);
+      if (suffix && LOCALE_PATTERN.test(suffix)) {
+        console.warn(`! Skipped ${path.relative(process.cwd(), path.join(dir, name))}: "${suffix}" is not a two-letter language code like "de", so it is not a translation`);
+      }
+      continue;
     }
+    const translation = parseYamlFile(path.join(dir, name), sources);
+    if (!translation) return false;
+
+    const data = loaded.data;
+    data.translations = { ...data.translations, [locale]: deepMerge(data.translations?.[locale] || {}, translation.data || {}) };
+    const file = path.relative(process.cwd(), path.join(dir, name));
+    for (const [key, location] of translation.positions) {
+      loaded.positions.set(key ? `translations.${locale}.${key}` : `translations.${locale}`, { ...location, file: location.file || file });
+    }
+  }
+  return true;
+}
+
+// Merge resume.local.yaml, when it exists, over resume.yaml: for what
+// should not be committed, such as private contact details
+function loadLocalOverride(resumeYamlPath, loaded, sources) {
+  const localPath = localOverridePath(resumeYamlPath);
+  if (!fs.existsSync(localPath)) return true;
+  const local = parseYamlFile(localPath, sources);
+  if (!local) return false;
+
+  loaded.data = mergeOver(loaded.data, local.data || {});
+  const file = path.relative(process.cwd(), localPath);
+  for (const [key, location] of local.positions) {
+    if (key) loaded.positions.set(key, { ...location, file: location.file || file });
+  }
+  return true;
+}
+
+/**
+ * resume.yaml as the generator sees it: with its includes and `extends`
+ * resolved, resume.local.yaml and the resume.<locale>.yaml files merged in
+ * and environment variables substituted. Returns { data, positions, missing }
+ * (see substituteEnv), or null when a file cannot be read.
+ */
+function readResume(resumeYamlPath, sources = new Set()) {
+  const loaded = parseYamlFile(resumeYamlPath, sources);
+  if (!loaded || !loadLocalOverride(resumeYamlPath, loaded, sources) || !loadTranslationFiles(resumeYamlPath, loaded, sources)) {
+    return null;
+  }
+  const { data, missing } = substituteEnv(loaded.data);
+  return { data, positions: loaded.positions, missing };
+}
+
+// The unset environment variables of a resume read by readResume, as
+// validateResume reports errors
+function missingVariables({ positions, missing }) {
+  return missing.map(([pathParts, name]) => {
+    const location = locate(positions, pathParts) || {};
+    const message = `environment variable ${name} is not set (write \${${name}:-} to allow that)`;
+    return { path: formatPath(pathParts), message, line: location.line, column: location.column, file: location.file };
+  });
+}
+
+// --print-config: the resume (or one of its variants) as it is validated and
+// generated, as YAML. Returns false when it cannot be read or uses unset
+// environment variables.
+function printConfig(resumeYamlPath, { variant = null } = {}) {
+  const loaded = readResume(resumeYamlPath);
+  if (!loaded) {
+    return false;
+  }
+  checkVariantOption(loaded.data, variant);
+  const resume = variant ? selectVariant(loaded.data, variant) : loaded.data;
+  // Dates (start: 2023-01-15) as they were written rather than as timestamps
+  const replacer = (key, value) => (value instanceof Date ? value.toISOString().replace('T00:00:00.000Z', '') : value);
+  process.stdout.write(yaml.dump(resume, { lineWidth: -1, noRefs: true, replacer }));
+  if (loaded.missing.length > 0) {
+    console.error(formatIssues(path.relative(process.cwd(), resumeYamlPath), { errors: missingVariables(loaded), warnings: [] }));
+    return false;
+  }
+  return true;
+}
+
+// Load and validate resume.yaml, printing every problem found; images are
+// looked up in `publicDir`. Returns the parsed resume, or null when it cannot
+// be used.
+function loadResume(resumeYamlPath, sources = new Set(), { publicDir = path.join(process.cwd(), 'public') } = {}) {
+  const file = path.relative(process.cwd(), resumeYamlPath);
+  const baseDir = path.dirname(path.resolve(resumeYamlPath));
+  const loaded = readResume(resumeYamlPath, sources);
+  if (!loaded) {
+    return null;
+  }
+
+  const issues = validateResume(loaded.data, loaded.positions, { publicDir, baseDir });
+  issues.errors.unshift(...missingVariables(loaded));
+  if (issues.errors.length > 0 || issues.warnings.length > 0) {
+    const counts = [
+      issues.errors.length > 0 && `${issues.errors.length} error${issues.errors.length === 1 ? '' : 's'}`,
+      issues.warnings.length > 0 && `${issues.warnings.length} warning${issues.warnings.length === 1 ? '' : 's'}`,
+    ].filter(Boolean).join(', ');
+    const log = issues.errors.length > 0 ? console.error : console.warn;
+    log(`${file}: ${counts}`);
+    log(formatIssues(file, issues));
+  }
+
+  if (issues.errors.length > 0) {
+    return null;
+  }
+  // A custom template and the images are sources too, so --watch picks up their changes
+  if (loaded.data.template && isTemplatePath(loaded.data.template)) {
+    sources.add(require.resolve(path.resolve(baseDir, loaded.data.template)));
+  }
+  for (const { resume: translated } of resolveLocales(loaded.data)) {
+    for (const image of collectImages(translated)) {
+      if (!/^https?:/i.test(image.src)) sources.add(path.join(publicDir, image.src));
+    }
+  }
+  return loaded.data;
+}
+
+// Generate resume.pdf from the same model as page.tsx, of the main resume
+// or of `variant`; resolves to a Buffer. The fonts of pdf.font and
+// pdf.bold_font are relative to `baseDir`, the directory of resume.yaml
+function generatePdf(source, { variant = null, baseDir = process.cwd() } = {}) {
+  const resume = selectVariant(source, variant);
+  const options = resume.pdf || {};
+  return renderPdf(buildResumeModel(resume), {
+    size: options.size,
+    columns: options.columns,
+    font: options.font && path.resolve(baseDir, options.font),
+    boldFont: options.bold_font && path.resolve(baseDir, options.bold_font),
+    // Printed on white paper, so the accent comes from the light palette
+    accent: resolveTheme(resume).light.primary,
+  });
+}
+
+function printUnmapped(unmapped) {
+  if (unmapped.length === 0) return;
+  console.warn(`Could not map ${unmapped.length} field${unmapped.length === 1 ? '' : 's'}:`);
+  for (const entry of unmapped) console.warn(`  - ${entry}`);
+}
+
+// `import <resume.json | linkedin-export.zip | folder>`: write resume.yaml
+function importResume(source, { out = 'resume.yaml', force = false, log = createLogger() } = {}) {
+  if (!source || !fs.existsSync(source)) {
+    exitWithUsage(source
+      ? `${source} not found`
+      : 'import needs a file: node generate.js import <resume.json | LinkedIn export .zip or folder> [--out resume.yaml] [--force]');
+  }
+  if (fs.existsSync(out) && !force) {
+    exitWithUsage(`${out} already exists, use --out to pick another file or --force to overwrite it`);
+  }
+
+  const fromJson = source.toLowerCase().endsWith('.json');
+  const { resume, unmapped } = fromJson
+    ? fromJsonResume(JSON.parse(fs.readFileSync(source, 'utf8')))
+    : fromLinkedInExport(readLinkedInExport(source));
+
+  const header = `# Imported from ${path.basename(source)}, review it before generating the site\n`;
+  fs.writeFileSync(out, header + yaml.dump(resume, { lineWidth: -1, noRefs: true }));
+  log.info(`✓ Imported ${fromJson ? 'JSON Resume' : 'LinkedIn export'} into ${out}`);
+  printUnmapped(unmapped);
+
+  const issues = validateResume(resume);
+  if (issues.errors.length > 0) {
+    console.warn(`\n${out} still needs editing:`);
+    console.warn(formatIssues(out, issues));
+  }
+}
+
+// `export [--out resume.json] [--variant name]`: resume.yaml (or one of its
+// variants) as JSON Resume. Returns false when resume.yaml has errors.
+function exportResume(resumeYamlPath, { out = 'resume.json', log = createLogger(), variant = null } = {}) {
+  const resume = loadResume(resumeYamlPath);
+  if (!resume) {
+    return false;
+  }
+  checkVariantOption(resume, variant);
+  const { data, unmapped } = toJsonResume(selectVariant(resume, variant));
+  fs.writeFileSync(out, `${JSON.stringify(data, null, 2)}\n`);
+  log.info(`✓ Exported ${out}`);
+  printUnmapped(unmapped);
+  return true;
+}
+
+// `init`: copy the components and helpers from template/ into the project,
+// replacing earlier copies, and create resume.yaml from the example unless
+// it exists
+function init({ outDir = process.cwd(), config, log = createLogger() } = {}) {
+  const shown = file => path.relative(process.cwd(), file) || '.';
+  for (const dir of ['components', 'lib']) {
+    const source = path.join(__dirname, 'template', dir);
+    if (!fs.existsSync(source)) continue;
+    fs.cpSync(source, path.join(outDir, dir), { recursive: true });
+    log.info(`✓ Copied template/${dir}/ to ${shown(path.join(outDir, dir))}/`);
+  }
+  fs.mkdirSync(path.join(outDir, 'public'), { recursive: true });
+
+  const resumeYamlPath = config ? path.resolve(config) : path.join(outDir, 'resume.yaml');
+  if (fs.existsSync(resumeYamlPath)) {
+    log.detail(`✓ Kept ${shown(resumeYamlPath)}`);
+  } else {
+    fs.mkdirSync(path.dirname(resumeYamlPath), { recursive: true });
+    fs.copyFileSync(path.join(__dirname, 'resume.example.yaml'), resumeYamlPath);
+    log.info(`✓ Created ${shown(resumeYamlPath)} from resume.example.yaml`);
+  }
+
+  log.info(`
+Next steps:
+1. Edit ${shown(resumeYamlPath)} with your information
+2. Add your photo to public/ (e.g. public/photo.png) and set personal.photo in ${path.basename(resumeYamlPath)}
+3. Run "npm run generate" to generate the site
+4. Run "npm run dev" to preview it locally
+5. Push to GitHub to build and deploy it with GitHub Actions`);
+}
+
+// --variant must name one of the variants of resume.yaml
+function checkVariantOption(resume, variant) {
+  const names = variantNames(resume);
+  if (variant && !names.includes(variant)) {
+    exitWithUsage(`unknown variant "${variant}", ${names.length > 0 ? `expected one of: ${names.join(', ')}` : 'the resume has no variants'}`);
+  }
+}
+
+// Load resume.yaml and generate the site into `outDir` (and with `withPdf`
+// the PDFs); with `variant` the site is only that variant. With `preview`
+// ('dry-run' or 'diff') nothing is written, see previewSite. Returns the
+// files that changed (or would change), or null when resume.yaml has errors;
+// files are then left as they were.
+async function build(resumeYamlPath, {
+  withPdf = false, sources, outDir = process.cwd(), log = createLogger(), preview = null, variant = null,
+} = {}) {
+  const publicDir = path.join(outDir, 'public');
+  const baseDir = path.dirname(path.resolve(resumeYamlPath));
+  const resume = loadResume(resumeYamlPath, sources, { publicDir });
+  if (!resume) {
+    return null;
+  }
+  checkVariantOption(resume, variant);
+
+  // The built-in templates render with components/resume, copied by `init`
+  const builtIn = !resume.template || !isTemplatePath(resume.template);
+  if (builtIn && !fs.existsSync(path.join(outDir, 'components', 'resume'))) {
+    console.warn('! components/resume/ is missing, run "npm run setup" to copy it from template/');
+  }
+
+  const locales = resolveLocales(resume);
+  const images = await processImages(locales.map(({ resume: translated }) => translated), publicDir);
+  const files = generateSite(resume, { images, variant, baseDir });
+  const changed = preview
+    ? previewSite(outDir, files, { log, diff: preview === 'diff' })
+    : writeSite(outDir, files, { log });
+  if (changed.length === 0) {
+    log.info(preview ? '✓ Nothing would change' : '✓ Generated files are up to date');
+  }
+
+  // public/ is copied into the static export, so the PDF ships with the site
+  // (resume.pdf for the default locale, resume.<locale>.pdf for translations,
+  // and those of each variant in public/<variant>/)
+  if (withPdf) {
+    for (const { locale } of locales.filter(({ locale }) => textDirection(locale) === 'rtl')) {
+      console.warn(`! Skipped the ${locale} PDF: right-to-left text is not supported by the PDF export yet`);
+    }
+    const pages = variant ? [[variant, '']] : [[null, ''], ...variantNames(resume).map(name => [name, name])];
+    for (const [name, dir] of pages) {
+      for (const [index, { locale, resume: translated }] of locales.entries()) {
+        if (textDirection(locale) === 'rtl') continue;
+        const pdf = path.join(dir, index === 0 ? 'resume.pdf' : `resume.${locale}.pdf`);
+        const file = path.join(publicDir, pdf);
+        const shown = shownPath(publicDir, pdf);
+        changed.push(shown);
+        if (preview) {
+          log.info(`${fs.existsSync(file) ? '~ Would update' : '+ Would generate'} ${shown}`);
+          continue;
+        }
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, await generatePdf(translated, { variant: name, baseDir }));
+        log.info(`✓ Generated ${shown}`);
+      }
+    }
+  }
+  return changed;
+}
+
+/**
+ * --watch: regenerate whenever resume.yaml or a file it uses changes. The
+ * directories of those files are watched rather than the files, since many
+ * editors save by replacing the file. A broken resume.yaml leaves the last
+ * good output in place until it is fixed.
+ */
+async function watch(resumeYamlPath, { withPdf, outDir, log, variant }) {
+  let sources = new Set();
+  const watchers = new Map();
+  let timer = null;
+  let running = false;
+  let pending = false;
+
+  const relevant = (dir, name) => !name
+    || sources.has(path.join(dir, name))
+    || (dir === path.dirname(resumeYamlPath) && translationLocale(resumeYamlPath, name) !== null)
+    || path.join(dir, name) === localOverridePath(resumeYamlPath);
+
+  const run = async () => {
+    running = true;
+    const used = new Set();
+    try {
+      if (!(await build(resumeYamlPath, { withPdf, outDir, log, variant, sources: used }))) {
+        console.error('✗ Kept the last generated site, it is regenerated once the errors above are fixed');
+      }
+    } catch (error) {
+      console.error('Error generating site:', error.message);
+    }
+    sources = used;
+    updateWatchers();
+    running = false;
+    if (pending) {
+      pending = false;
+      schedule();
+    }
+  };
+
+  // Editors often write a file in several steps, so wait for them to settle
+  function schedule(name) {
+    if (running) {
+      pending = true;
+      return;
+    }
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      log.info(`\n↻ ${name || 'resume'} changed, regenerating`);
+      run();
+    }, 100);
+  }
+
+  function updateWatchers() {
+    const dirs = new Set([...sources].map(file => path.dirname(file)));
+    dirs.add(path.dirname(resumeYamlPath));
+    for (const [dir, watcher] of watchers) {
+      if (!dirs.has(dir)) {
+        watcher.close();
+        watchers.delete(dir);
+      }
+    }
+    for (const dir of dirs) {
+      if (watchers.has(dir) || !fs.existsSync(dir)) continue;
+      watchers.set(dir, fs.watch(dir, (eventType, name) => {
+        if (relevant(dir, name)) schedule(name);
+      }));
+    }
+  }
+
+  await run();
+  log.info(`\nWatching ${path.relative(process.cwd(), resumeYamlPath)} for changes (Ctrl+C to stop)`);
+}
+
+// Run a command next to the watcher, e.g. `--watch -- next dev`, and exit with it
+function runAlongside(command) {
+  const child = spawn(command[0], command.slice(1), { stdio: 'inherit', shell: process.platform === 'win32' });
+  child.on('exit', code => process.exit(code ?? 0));
+  child.on('error', error => {
+    console.error(`Error: could not start ${command[0]}: ${error.message}`);
     process.exit(1);
+  });
+}
+
+// Exit codes of the CLI
+const EXIT = {
+  ok: 0,
+  // resume.yaml has errors
+  invalid: 1,
+  // An unknown command or option, or a missing file
+  usage: 2,
+  // Generating failed for another reason
+  failed: 3,
+  // --dry-run or --diff: generating would change files
+  changes: 4,
+};
+
+const USAGE = `Usage: node generate.js [command] [options] [-- command to run alongside --watch]
+
+Commands:
+  (none)               Generate the site from resume.yaml
+  init                 Copy the components from template/ and create resume.yaml
+                       from resume.example.yaml unless it exists
+  import <file>        Create resume.yaml from a JSON Resume file or a LinkedIn export
+  export               Write resume.yaml as JSON Resume
+
+Options:
+  -c, --config <file>  The resume to read (default: resume.yaml)
+  -o, --out <path>     The project directory to generate into or set up (default: .);
+                       for import and export the file to write
+      --check          Only validate the resume
+      --print-config   Print the resume as it is generated: with its includes,
+                       resume.local.yaml, translations and variables resolved
+      --pdf            Also export public/resume.pdf
+      --variant <name> Generate (or export) only this variant of the resume, as
+                       the whole site; combine with --out to give it a directory
+      --watch          Regenerate whenever the resume or a file it uses changes
+      --dry-run        List the files generating would change, without writing them
+      --diff           Like --dry-run, with a diff of every change
+      --force          import: overwrite an existing file
+  -q, --quiet          Only print warnings and errors
+  -v, --verbose        Also print the files that are up to date
+  -h, --help           Show this help
+
+Exit codes: 0 done, 1 the resume has errors, 2 invalid usage,
+3 generating failed, 4 --dry-run or --diff found changes`;
+
+// Command-line options, see USAGE
+const OPTIONS = {
+  config: { type: 'string', short: 'c' },
+  out: { type: 'string', short: 'o' },
+  check: { type: 'boolean' },
+  'print-config': { type: 'boolean' },
+  pdf: { type: 'boolean' },
+  variant: { type: 'string' },
+  watch: { type: 'boolean' },
+  'dry-run': { type: 'boolean' },
+  diff: { type: 'boolean' },
+  force: { type: 'boolean' },
+  quiet: { type: 'boolean', short: 'q' },
+  verbose: { type: 'boolean', short: 'v' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+function exitWithUsage(message) {
+  console.error(`Error: ${message}`);
+  console.error('Run "node generate.js --help" for the available commands and options.');
+  process.exit(EXIT.usage);
+}
+
+async function main() {
+  // Everything after `--` is a command to run alongside --watch
+  const separator = process.argv.indexOf('--', 2);
+  const args = process.argv.slice(2, separator < 0 ? undefined : separator);
+  const command = separator < 0 ? [] : process.argv.slice(separator + 1);
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    exitWithUsage(error.message);
   }
+  const { values: options, positionals: [name = 'generate', ...operands] } = parsed;
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (options.quiet && options.verbose) {
+    exitWithUsage('--quiet and --verbose cannot be combined');
+  }
+  const log = createLogger(options);
+  const outDir = path.resolve(options.out || '.');
+
+  if (name === 'init' && operands.length === 0) {
+    init({ outDir, config: options.config, log });
+    return;
+  }
+  if (name === 'import' && operands.length <= 1) {
+    importResume(operands[0], { out: options.out, force: options.force, log });
+    return;
+  }
+  if (!['generate', 'export'].includes(name) || operands.length > 0) {
+    exitWithUsage(`unknown command "${[name, ...operands].join(' ')}"`);
+  }
+
+  const resumeYamlPath = path.resolve(options.config || 'resume.yaml');
+  const file = path.relative(process.cwd(), resumeYamlPath);
+  if (!fs.existsSync(resumeYamlPath)) {
+    console.error(`Error: ${file} not found!`);
+    if (!options.config) console.error('Run "npm run setup" to create it from resume.example.yaml, then customize it.');
+    process.exit(EXIT.usage);
+  }
+
+  if (name === 'export') {
+    if (!exportResume(resumeYamlPath, { out: options.out, log, variant: options.variant })) {
+      process.exit(EXIT.invalid);
+    }
+    return;
+  }
+
+  if (options['print-config']) {
+    if (!printConfig(resumeYamlPath, { variant: options.variant })) {
+      process.exit(EXIT.invalid);
+    }
+    return;
+  }
+
+  if (options.check) {
+    if (!loadResume(resumeYamlPath, new Set(), { publicDir: path.join(outDir, 'public') })) {
+      process.exit(EXIT.invalid);
+    }
+    log.info(`✓ ${file} is valid`);
+    return;
+  }
+
+  const preview = (options.diff && 'diff') || (options['dry-run'] && 'dry-run') || null;
+  if (options.watch) {
+    if (preview) {
+      exitWithUsage('--watch cannot be combined with --dry-run or --diff');
+    }
+    await watch(resumeYamlPath, { withPdf: options.pdf, outDir, log, variant: options.variant });
+    if (command.length > 0) {
+      runAlongside(command);
+    }
+    return;
+  }
+
+  const changed = await build(resumeYamlPath, { withPdf: options.pdf, outDir, log, preview, variant: options.variant });
+  if (!changed) {
+    process.exit(EXIT.invalid);
+  }
+  if (preview) {
+    process.exit(changed.length > 0 ? EXIT.changes : EXIT.ok);
+  }
+  log.info('\n✓ Generation complete!');
 }
 
 if (require.main === module) {
-  main();
+  main().catch(error => {
+    console.error('Error generating site:', error.message);
+    if (error.stack) {
+      console.error(error.stack);
+    }
+    process.exit(EXIT.failed);
+  });
 }
 
-module.exports = { generatePage, generateLayout, generateGlobalsCss };
+module.exports = {
+  generatePage, generateResumeData, generateLayout, generateVariantLayout, generateGlobalsCss, generateLocaleRedirect, generateSite,
+  generatePdf, validateResume, readResume,
+};
 
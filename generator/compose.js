@@ -0,0 +1,178 @@
+/**
+ * YAML composition
+ * resume.yaml can be split across files, and take values from environment
+ * variables named CV_* so they stay out of the repository:
+ *
+ *   extends: base.yaml                 # merged under this file (or a list)
+ *   personal:
+ *     phone: "${CV_PHONE}"             # or "${CV_PHONE:-}" to allow it unset
+ *   summary: !include summary.md       # any other file is included as text
+ *   experience:
+ *     - !include jobs/acme.yaml        # a YAML file as a value
+ *
+ * Paths are relative to the file that names them. A file is merged over
+ * the files it extends, and resume.local.yaml over resume.yaml, by
+ * mergeOver: mappings key by key, anything else replaced, lists as a whole.
+ * YAML anchors and aliases only work within one file; share a value
+ * between files with !include. Positions keep the file each value comes
+ * from, so errors point at the right file and line.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { loadYamlWithPositions, locate, formatPath } = require('./yaml');
+const { isObject } = require('./utils');
+
+const INCLUDE = Symbol('include');
+
+const includeType = new yaml.Type('!include', {
+  kind: 'scalar',
+  resolve: data => typeof data === 'string' && data.length > 0,
+  construct: data => ({ [INCLUDE]: data }),
+});
+
+const SCHEMA = yaml.DEFAULT_SCHEMA.extend([includeType]);
+
+const isInclude = value => isObject(value) && INCLUDE in value;
+
+// A file as the CLI prints it
+const shown = file => path.relative(process.cwd(), file).split(path.sep).join('/');
+
+// A problem with the files of a resume; the message says where it is
+function composeError(message) {
+  return Object.assign(new Error(message), { name: 'ComposeError' });
+}
+
+// The local override of a resume: resume.local.yaml next to resume.yaml
+function localOverridePath(resumeYamlPath) {
+  return path.join(path.dirname(resumeYamlPath), `${path.basename(resumeYamlPath, '.yaml')}.local.yaml`);
+}
+
+function parseFile(filePath, sources) {
+  sources.add(filePath);
+  try {
+    return loadYamlWithPositions(fs.readFileSync(filePath, 'utf8'), shown(filePath), { schema: SCHEMA });
+  } catch (error) {
+    if (error.name !== 'YAMLException') throw error;
+    const where = error.mark ? `${shown(filePath)}:${error.mark.line + 1}:${error.mark.column + 1}` : shown(filePath);
+    const hint = /^unidentified alias/.test(error.reason) ? ' (anchors are not shared between files, use !include)' : '';
+    throw composeError(`${where} is not valid YAML: ${error.reason}${hint}`);
+  }
+}
+
+/**
+ * `override` merged over `base`: mappings key by key, anything else (lists
+ * included) replaced. Unlike a translation (i18n.js deepMerge), which
+ * translates a list entry by entry, an override's list is the whole list,
+ * so a link or a job cannot take on the fields of the one at its position.
+ */
+function mergeOver(base, override) {
+  if (!isObject(base) || !isObject(override)) return override === undefined ? base : override;
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) merged[key] = mergeOver(base[key], value);
+  return merged;
+}
+
+// Copy the positions of another file under `pathParts`, marked with that file
+function addPositions(target, positions, pathParts, file) {
+  const prefix = formatPath(pathParts);
+  for (const [key, location] of positions) {
+    if (!key && pathParts.length > 0) continue;
+    const joined = !key ? prefix : !prefix ? key : key.startsWith('[') ? `${prefix}${key}` : `${prefix}.${key}`;
+    target.set(joined, { ...location, file: location.file || file });
+  }
+}
+
+/**
+ * Load a YAML file with its !include values and `extends` resolved, as
+ * { data, positions } like loadYamlWithPositions. Every file read is added
+ * to `sources`. Throws a ComposeError for files that are missing, invalid
+ * or include each other.
+ */
+function loadComposed(filePath, sources = new Set(), chain = []) {
+  if (chain.includes(filePath)) {
+    throw composeError(`${shown(filePath)} includes itself: ${[...chain, filePath].map(shown).join(' -> ')}`);
+  }
+  const { data, positions } = parseFile(filePath, sources);
+  const dir = path.dirname(filePath);
+  const where = pathParts => {
+    const location = locate(positions, pathParts);
+    return location ? `${shown(filePath)}:${location.line}:${location.column}` : shown(filePath);
+  };
+  // Missing files are sources too, so --watch notices when they are created
+  const target = (file, pathParts, verb) => {
+    const resolved = path.resolve(dir, file);
+    sources.add(resolved);
+    if (!fs.existsSync(resolved)) throw composeError(`${where(pathParts)} ${verb} ${shown(resolved)}, which does not exist`);
+    return resolved;
+  };
+
+  const included = new Map();
+  const resolve = (value, pathParts) => {
+    if (isInclude(value)) {
+      const file = target(value[INCLUDE], pathParts, 'includes');
+      if (!/\.ya?ml$/i.test(file)) {
+        return fs.readFileSync(file, 'utf8');
+      }
+      const loaded = loadComposed(file, sources, [...chain, filePath]);
+      addPositions(included, loaded.positions, pathParts, shown(file));
+      return loaded.data;
+    }
+    if (Array.isArray(value)) return value.map((item, index) => resolve(item, [...pathParts, index]));
+    if (!isObject(value)) return value;
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolve(item, [...pathParts, key])]));
+  };
+  const resolved = resolve(data, []);
+  const ownPositions = new Map([...positions, ...included]);
+  if (!isObject(resolved) || resolved.extends === undefined) return { data: resolved, positions: ownPositions };
+
+  // The files it extends come first, each merged over the one before
+  const { extends: bases, ...own } = resolved;
+  const list = Array.isArray(bases) ? bases : [bases];
+  let merged = {};
+  const mergedPositions = new Map();
+  list.forEach((base, index) => {
+    const pathParts = Array.isArray(bases) ? ['extends', index] : ['extends'];
+    if (typeof base !== 'string') throw composeError(`${where(pathParts)} extends must name a file or a list of files`);
+    const file = target(base, pathParts, 'extends');
+    const loaded = loadComposed(file, sources, [...chain, filePath]);
+    merged = mergeOver(merged, loaded.data);
+    addPositions(mergedPositions, loaded.positions, [], shown(file));
+  });
+  for (const [key, location] of ownPositions) {
+    if (key !== 'extends' && !key.startsWith('extends[')) mergedPositions.set(key, location);
+  }
+  return { data: mergeOver(merged, own), positions: mergedPositions };
+}
+
+// ${CV_NAME} or ${CV_NAME:-default}; $${CV_NAME} is the text ${CV_NAME}.
+// Only CV_ variables, so other ${...} text stays as written and no other
+// variable (a CI secret, say) can end up on the page.
+const VARIABLE = /\$(\$?)\{(CV_[A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+/**
+ * Replace ${CV_NAME} in every text of `data` with the environment variable
+ * CV_NAME. Returns { data, missing }, where missing lists the variables that
+ * are not set and have no default, as [pathParts, name].
+ */
+function substituteEnv(data, env = process.env) {
+  const missing = [];
+  const substitute = (value, pathParts) => {
+    if (typeof value === 'string') {
+      return value.replace(VARIABLE, (match, escaped, name, fallback) => {
+        if (escaped) return match.slice(1);
+        if (env[name] !== undefined) return env[name];
+        if (fallback !== undefined) return fallback;
+        missing.push([pathParts, name]);
+        return match;
+      });
+    }
+    if (Array.isArray(value)) return value.map((item, index) => substitute(item, [...pathParts, index]));
+    if (!isObject(value)) return value;
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, substitute(item, [...pathParts, key])]));
+  };
+  return { data: substitute(data, []), missing };
+}
+
+module.exports = { localOverridePath, mergeOver, loadComposed, substituteEnv };
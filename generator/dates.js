@@ -0,0 +1,222 @@
+/**
+ * Date helpers
+ * Entries of resume.yaml have structured dates (start: 2023-01,
+ * end: present) or a free-text period ("Jan 2023 - Present"). These turn
+ * them into month ranges for sorting, durations and validation, format them
+ * per locale with date-fns, and convert free text to and from the ISO dates
+ * used by JSON Resume ("2023-01").
+ */
+
+const { format } = require('date-fns');
+const dateLocales = require('date-fns/locale');
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// "2023-01-15" or "2023-01" -> "Jan 2023", "2023" -> "2023"
+function formatIsoDate(date) {
+  const match = /^(\d{4})(?:-(\d{2}))?/.exec(String(date || ''));
+  if (!match) return date ? String(date) : '';
+  return match[2] ? `${MONTHS[Number(match[2]) - 1]} ${match[1]}` : match[1];
+}
+
+// Free-text period from two dates; a missing end means the entry is ongoing
+function formatPeriod(start, end, format = formatIsoDate) {
+  if (!start && !end) return '';
+  if (!start || start === end) return format(end || start);
+  return `${format(start)} - ${end ? format(end) : 'Present'}`;
+}
+
+// "Jan 2023", "January 2023", "2023" -> "2023-01" / "2023", else null
+function parseDate(text) {
+  const value = text.trim();
+  let match = /^(\d{4})$/.exec(value);
+  if (match) return match[1];
+  match = /^([A-Za-z]{3,})\.?\s+(\d{4})$/.exec(value);
+  if (match) {
+    const month = MONTHS.findIndex(name => match[1].toLowerCase().startsWith(name.toLowerCase()));
+    if (month >= 0) return `${match[2]}-${String(month + 1).padStart(2, '0')}`;
+  }
+  return null;
+}
+
+// "Jan 2023 - Present" -> { startDate: "2023-01" }, a single date is both
+// start and end; null when not understood
+function parsePeriod(period) {
+  if (!period) return null;
+  // Durations LinkedIn appends ("Jan 2024 · 1 mo") are not part of the dates
+  const [start, end] = String(period).split('·')[0].split(/\s+[-–—]\s+|\s+to\s+/i);
+  const startDate = parseDate(start);
+  if (!startDate) return null;
+  if (end === undefined) return { startDate, endDate: startDate };
+  if (/^(present|now|current)$/i.test(end.trim())) return { startDate };
+  const endDate = parseDate(end);
+  return endDate ? { startDate, endDate } : null;
+}
+
+// `end: present` marks an ongoing entry
+const isPresent = value => typeof value === 'string' && value.trim().toLowerCase() === 'present';
+
+/**
+ * A structured date: 2023, "2023-01", "2023-01-15" or the Date YAML makes
+ * of the latter, as { year, month } with month 1-12 or null; else null.
+ */
+function parseDateValue(value) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : { year: value.getUTCFullYear(), month: value.getUTCMonth() + 1 };
+  }
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  const match = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/.exec(String(value).trim());
+  if (!match) return null;
+  const month = match[2] ? Number(match[2]) : null;
+  if (month !== null && (month < 1 || month > 12)) return null;
+  return { year: Number(match[1]), month };
+}
+
+// Months since year 0; a year alone starts in January and ends in December
+function monthIndex({ year, month }, edge = 'start') {
+  return year * 12 + (month ? month - 1 : edge === 'end' ? 11 : 0);
+}
+
+/**
+ * The months an entry covers, as { start, end, ongoing, structured } month
+ * indexes (both inclusive), from start/end or else its free-text period;
+ * null when neither can be read. An ongoing entry ends in the month of `now`,
+ * and a start without end is a single date. An experience entry with roles
+ * covers all of them.
+ */
+function dateRange(entry, now = new Date()) {
+  if (!entry) return null;
+  if (Array.isArray(entry.roles) && entry.roles.length > 0) {
+    const ranges = entry.roles.map(role => dateRange(role, now));
+    if (!ranges.every(Boolean)) return null;
+    return {
+      start: Math.min(...ranges.map(range => range.start)),
+      end: Math.max(...ranges.map(range => range.end)),
+      ongoing: ranges.some(range => range.ongoing),
+      structured: ranges.every(range => range.structured),
+    };
+  }
+  const current = monthIndex({ year: now.getFullYear(), month: now.getMonth() + 1 });
+  if (entry.start !== undefined) {
+    const start = parseDateValue(entry.start);
+    if (!start) return null;
+    if (isPresent(entry.end)) return { start: monthIndex(start), end: current, ongoing: true, structured: true };
+    const end = entry.end === undefined ? start : parseDateValue(entry.end);
+    if (!end) return null;
+    return { start: monthIndex(start), end: monthIndex(end, 'end'), ongoing: false, structured: true };
+  }
+  const dates = parsePeriod(entry.period);
+  if (!dates) return null;
+  const start = parseDateValue(dates.startDate);
+  if (!dates.endDate) return { start: monthIndex(start), end: current, ongoing: true, structured: false };
+  return { start: monthIndex(start), end: monthIndex(parseDateValue(dates.endDate), 'end'), ongoing: false, structured: false };
+}
+
+// start/end from the earliest start to the latest end of entries that all
+// have structured dates, such as the roles at one company; else null
+function spanDates(entries, now) {
+  if (entries.length === 0 || !entries.every(entry => entry.start !== undefined)) return null;
+  const ranges = entries.map(entry => dateRange(entry, now));
+  if (!ranges.every(Boolean)) return null;
+  const first = ranges.reduce((best, range, index) => (range.start < ranges[best].start ? index : best), 0);
+  const last = ranges.reduce((best, range, index) => (
+    range.ongoing || (!ranges[best].ongoing && range.end > ranges[best].end) ? index : best
+  ), 0);
+  const { end } = entries[last];
+  return { start: entries[first].start, end: end === undefined ? entries[last].start : end };
+}
+
+// Most recent first: ongoing entries, then by end and start date; entries
+// without dates keep their order after the others
+function sortByDate(entries, now) {
+  const ranges = new Map(entries.map(entry => [entry, dateRange(entry, now)]));
+  return [...entries].sort((a, b) => {
+    const first = ranges.get(a);
+    const second = ranges.get(b);
+    if (!first || !second) return (first ? 0 : 1) - (second ? 0 : 1);
+    return (second.ongoing - first.ongoing) || (second.end - first.end) || (second.start - first.start);
+  });
+}
+
+// The date-fns locale for "de", "pt-BR", "fa" (faIR), falling back to English
+function dateLocale(locale) {
+  const [language, region = ''] = locale.split('-');
+  return dateLocales[language + region]
+    || dateLocales[language]
+    || Object.entries(dateLocales).find(([key]) => new RegExp(`^${language}[A-Z]`).test(key))?.[1]
+    || dateLocales.enUS;
+}
+
+// 2023 -> "2023", "2023-01" -> "Jan 2023" in the given locale
+function formatDate(value, locale) {
+  const date = parseDateValue(value);
+  if (!date) return String(value);
+  if (!date.month) return String(date.year);
+  return format(new Date(date.year, date.month - 1, 1), 'LLL yyyy', { locale: dateLocale(locale) });
+}
+
+// The start and end of an entry as text: "Jan 2023 - Present"
+function formatRange(entry, locale, labels) {
+  const start = formatDate(entry.start, locale);
+  if (entry.end === undefined) return start;
+  if (isPresent(entry.end)) return `${start} - ${labels.present}`;
+  const end = formatDate(entry.end, locale);
+  return end === start ? start : `${start} - ${end}`;
+}
+
+// A number of months as "2 yrs 3 mos", with the units of the labels
+function formatDuration(months, labels) {
+  const years = Math.floor(months / 12);
+  const rest = months % 12;
+  const parts = [];
+  if (years > 0) parts.push(`${years} ${years === 1 ? labels.year : labels.years}`);
+  if (rest > 0 || years === 0) parts.push(`${rest} ${rest === 1 ? labels.month : labels.months}`);
+  return parts.join(' ');
+}
+
+// Months covered by any of the ranges, counting overlaps once
+function totalMonths(ranges) {
+  let total = 0;
+  let last = -Infinity;
+  for (const range of [...ranges].sort((a, b) => a.start - b.start)) {
+    const from = Math.max(range.start, last + 1);
+    if (range.end >= from) total += range.end - from + 1;
+    last = Math.max(last, range.end);
+  }
+  return total;
+}
+
+// ISO dates of an entry for JSON Resume, from start/end or its period
+function isoDates(entry) {
+  if (entry.start === undefined) return parsePeriod(entry.period);
+  const iso = value => {
+    const date = parseDateValue(value);
+    return date && (date.month ? `${date.year}-${String(date.month).padStart(2, '0')}` : String(date.year));
+  };
+  const startDate = iso(entry.start);
+  if (!startDate) return null;
+  if (isPresent(entry.end)) return { startDate };
+  const endDate = entry.end === undefined ? startDate : iso(entry.end);
+  return endDate ? { startDate, endDate } : null;
+}
+
+/**
+ * start/end for resume.yaml from two imported dates, such as JSON Resume's
+ * "2023-01-15" or LinkedIn's "Jan 2023"; a missing end is present. Dates
+ * that cannot be read stay a free-text period.
+ */
+function importDates(start, end) {
+  const read = text => (parseDateValue(text) ? String(text).slice(0, 7) : parsePeriod(text)?.startDate);
+  const startDate = start ? read(start) : null;
+  const endDate = end ? read(end) : null;
+  if (!startDate || (end && !endDate)) {
+    const period = formatPeriod(start, end, date => formatIsoDate(date));
+    return period ? { period } : {};
+  }
+  return { start: startDate, end: endDate || 'present' };
+}
+
+module.exports = {
+  MONTHS, formatIsoDate, formatPeriod, parsePeriod, isPresent, parseDateValue, dateRange, spanDates, sortByDate,
+  formatDate, formatRange, formatDuration, totalMonths, isoDates, importDates,
+};
@@ -0,0 +1,98 @@
+/**
+ * Line diffs
+ * `generate --diff` shows how regenerating would change each file as a
+ * unified diff, the format of `git diff`.
+ */
+
+// Unchanged lines shown around every change
+const CONTEXT = 3;
+
+const splitLines = text => (text ? text.replace(/\n$/, '').split('\n') : []);
+
+/**
+ * The shortest edit script from `before` to `after` (lists of lines), as
+ * [op, line] with op ' ' (kept), '-' (removed) or '+' (added).
+ */
+function diffLines(before, after) {
+  // Generated files mostly change in a few places, so the common start and
+  // end are skipped before building the table of common subsequences
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+  let end = 0;
+  while (end < before.length - start && end < after.length - start
+    && before[before.length - 1 - end] === after[after.length - 1 - end]) end++;
+  const a = before.slice(start, before.length - end);
+  const b = after.slice(start, after.length - end);
+
+  // common[i * width + j]: length of the longest common subsequence of a[i..] and b[j..]
+  const width = b.length + 1;
+  const common = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      common[i * width + j] = a[i] === b[j]
+        ? common[(i + 1) * width + j + 1] + 1
+        : Math.max(common[(i + 1) * width + j], common[i * width + j + 1]);
+    }
+  }
+
+  const ops = before.slice(0, start).map(line => [' ', line]);
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push([' ', a[i++]]);
+      j++;
+    } else if (i < a.length && (j === b.length || common[(i + 1) * width + j] >= common[i * width + j + 1])) {
+      ops.push(['-', a[i++]]);
+    } else {
+      ops.push(['+', b[j++]]);
+    }
+  }
+  return ops.concat(before.slice(before.length - end).map(line => [' ', line]));
+}
+
+/**
+ * A unified diff of a file from `before` to `after`; either is null when
+ * the file does not exist on that side. Empty when nothing changed.
+ */
+function unifiedDiff(file, before, after) {
+  const ops = diffLines(splitLines(before), splitLines(after));
+
+  // Line numbers of every op in the old and the new file
+  let oldLine = 1;
+  let newLine = 1;
+  const lines = ops.map(([op, text]) => {
+    const entry = { op, text, oldLine, newLine };
+    if (op !== '+') oldLine++;
+    if (op !== '-') newLine++;
+    return entry;
+  });
+
+  // Changes closer than twice the context share a hunk
+  const hunks = [];
+  lines.forEach((line, index) => {
+    if (line.op === ' ') return;
+    const from = Math.max(0, index - CONTEXT);
+    const to = Math.min(lines.length, index + CONTEXT + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && from <= last.to) last.to = to;
+    else hunks.push({ from, to });
+  });
+  if (hunks.length === 0) return '';
+
+  const range = (start, count) => `${count === 0 ? start - 1 : start},${count}`;
+  const output = [
+    `--- ${before === null ? '/dev/null' : `a/${file}`}`,
+    `+++ ${after === null ? '/dev/null' : `b/${file}`}`,
+  ];
+  for (const { from, to } of hunks) {
+    const hunk = lines.slice(from, to);
+    const oldCount = hunk.filter(line => line.op !== '+').length;
+    const newCount = hunk.filter(line => line.op !== '-').length;
+    output.push(`@@ -${range(hunk[0].oldLine, oldCount)} +${range(hunk[0].newLine, newCount)} @@`);
+    output.push(...hunk.map(line => `${line.op}${line.text}`));
+  }
+  return output.join('\n');
+}
+
+module.exports = { diffLines, unifiedDiff };
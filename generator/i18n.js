@@ -0,0 +1,205 @@
+/**
+ * Languages
+ * A resume can be published in several languages: resume.yaml is the
+ * default locale, and `translations` (or resume.<locale>.yaml files next to
+ * it) override its texts per locale. Labels the generator writes itself,
+ * such as section headings, come from LABELS and can be changed with
+ * `labels` in resume.yaml or in a translation.
+ */
+
+const { isObject } = require('./utils');
+
+const LABELS = {
+  en: {
+    summary: 'Summary',
+    experience: 'Professional Experience',
+    projects: 'Projects',
+    volunteering: 'Volunteering',
+    skills: 'Skills',
+    education: 'Education',
+    languages: 'Languages',
+    certifications: 'Certifications',
+    publications: 'Publications',
+    awards: 'Awards',
+    talks: 'Talks',
+    technologies: 'Technologies',
+    platforms: 'Platforms & Tools',
+    soft: 'Soft Skills',
+    view_credential: 'View credential',
+    credential_id: 'Credential ID',
+    read: 'Read',
+    watch: 'Watch',
+    slides: 'Slides',
+    profile_photo: 'Profile',
+    language: 'Language',
+    present: 'Present',
+    year: 'yr',
+    years: 'yrs',
+    month: 'mo',
+    months: 'mos',
+    full_time: 'Full-time',
+    part_time: 'Part-time',
+    contract: 'Contract',
+    freelance: 'Freelance',
+    internship: 'Internship',
+    remote: 'Remote',
+    level: 'Level',
+    highlighting: 'Highlighting',
+    clear_filter: 'Show all',
+    light_mode: 'Switch to light mode',
+    dark_mode: 'Switch to dark mode',
+  },
+  de: {
+    summary: 'Profil',
+    experience: 'Berufserfahrung',
+    projects: 'Projekte',
+    volunteering: 'Ehrenamt',
+    skills: 'Kenntnisse',
+    education: 'Ausbildung',
+    languages: 'Sprachen',
+    certifications: 'Zertifizierungen',
+    publications: 'Publikationen',
+    awards: 'Auszeichnungen',
+    talks: 'Vorträge',
+    technologies: 'Technologien',
+    platforms: 'Plattformen & Tools',
+    soft: 'Soft Skills',
+    view_credential: 'Zertifikat ansehen',
+    credential_id: 'Zertifikats-ID',
+    read: 'Lesen',
+    watch: 'Ansehen',
+    slides: 'Folien',
+    profile_photo: 'Profilfoto',
+    language: 'Sprache',
+    present: 'heute',
+    year: 'Jahr',
+    years: 'Jahre',
+    month: 'Monat',
+    months: 'Monate',
+    full_time: 'Vollzeit',
+    part_time: 'Teilzeit',
+    contract: 'Befristet',
+    freelance: 'Freiberuflich',
+    internship: 'Praktikum',
+    remote: 'Remote',
+    level: 'Niveau',
+    highlighting: 'Hervorgehoben',
+    clear_filter: 'Alle anzeigen',
+    light_mode: 'Zum hellen Design wechseln',
+    dark_mode: 'Zum dunklen Design wechseln',
+  },
+  fa: {
+    summary: 'درباره من',
+    experience: 'سوابق شغلی',
+    projects: 'پروژه‌ها',
+    volunteering: 'فعالیت‌های داوطلبانه',
+    skills: 'مهارت‌ها',
+    education: 'تحصیلات',
+    languages: 'زبان‌ها',
+    certifications: 'گواهی‌نامه‌ها',
+    publications: 'انتشارات',
+    awards: 'جوایز',
+    talks: 'سخنرانی‌ها',
+    technologies: 'فناوری‌ها',
+    platforms: 'پلتفرم‌ها و ابزارها',
+    soft: 'مهارت‌های نرم',
+    view_credential: 'مشاهده گواهی‌نامه',
+    credential_id: 'شناسه گواهی‌نامه',
+    read: 'مطالعه',
+    watch: 'تماشا',
+    slides: 'اسلایدها',
+    profile_photo: 'عکس پروفایل',
+    language: 'زبان',
+    present: 'اکنون',
+    year: 'سال',
+    years: 'سال',
+    month: 'ماه',
+    months: 'ماه',
+    full_time: 'تمام‌وقت',
+    part_time: 'پاره‌وقت',
+    contract: 'قراردادی',
+    freelance: 'فریلنس',
+    internship: 'کارآموزی',
+    remote: 'دورکاری',
+    level: 'سطح',
+    highlighting: 'برجسته',
+    clear_filter: 'نمایش همه',
+    light_mode: 'تغییر به حالت روشن',
+    dark_mode: 'تغییر به حالت تیره',
+  },
+};
+
+const DEFAULT_LOCALE = 'en';
+
+// Languages written right to left
+const RTL_LANGUAGES = ['ar', 'dv', 'fa', 'he', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi'];
+
+// "en", "de", "pt-BR"; also used to find resume.<locale>.yaml files
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+
+const baseLanguage = locale => locale.split('-')[0];
+
+function textDirection(locale) {
+  return RTL_LANGUAGES.includes(baseLanguage(locale)) ? 'rtl' : 'ltr';
+}
+
+// Whether Intl knows the language of a locale: "de" and "pt-BR", not "old"
+function knownLocale(locale) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' }).of(locale) !== undefined;
+  } catch {
+    return false;
+  }
+}
+
+// The name of a language in that language: "Deutsch", "فارسی"
+function languageName(locale) {
+  const name = new Intl.DisplayNames([locale], { type: 'language' }).of(locale);
+  return name.charAt(0).toLocaleUpperCase(locale) + name.slice(1);
+}
+
+// Built-in labels for a locale (falling back to English) with resume.yaml's overrides
+function getLabels(locale = DEFAULT_LOCALE, overrides = {}) {
+  return { ...LABELS.en, ...LABELS[baseLanguage(locale)], ...LABELS[locale], ...overrides };
+}
+
+// A bullet with tags, { text, tags } (see generator/variants.js)
+const isTaggedText = value => isObject(value) && typeof value.text === 'string' && Array.isArray(value.tags);
+
+// Apply a translation: objects are merged key by key, lists of entries
+// position by position, and anything else (texts, lists of texts) replaced.
+// A text translates a tagged bullet and keeps its tags, so lists with
+// tagged bullets are merged position by position too.
+function deepMerge(base, override) {
+  if (override === undefined || override === null) return base;
+  if (isObject(base) && isObject(override)) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(override)) result[key] = deepMerge(base[key], value);
+    return result;
+  }
+  if (isTaggedText(base) && typeof override === 'string') return { ...base, text: override };
+  if (Array.isArray(base) && Array.isArray(override) && (override.some(isObject) || base.some(isTaggedText))) {
+    const length = Math.max(base.length, override.length);
+    return Array.from({ length }, (_, index) => deepMerge(base[index], override[index]));
+  }
+  return override;
+}
+
+/**
+ * Every locale of a resume, the default first: [{ locale, resume }], where
+ * resume is the translated resume.yaml with `locale` set and without
+ * `translations`.
+ */
+function resolveLocales(resume) {
+  const { translations, ...base } = resume;
+  const defaultLocale = resume.locale || DEFAULT_LOCALE;
+  const others = Object.entries(translations || {}).filter(([locale]) => locale !== defaultLocale);
+  return [
+    { locale: defaultLocale, resume: { ...base, locale: defaultLocale } },
+    ...others.map(([locale, override]) => ({ locale, resume: { ...deepMerge(base, override), locale } })),
+  ];
+}
+
+module.exports = {
+  LABELS, DEFAULT_LOCALE, LOCALE_PATTERN, knownLocale, textDirection, languageName, getLabels, deepMerge, resolveLocales,
+};
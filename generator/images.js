@@ -0,0 +1,169 @@
+/**
+ * Image pipeline
+ * The profile photo, company logos and project images live in public/.
+ * Each is resized to a few widths in AVIF and WebP (public/images/), gets a
+ * tiny blurred placeholder and its intrinsic size, so the page can render a
+ * <picture> with srcset, width and height instead of waiting for the
+ * original. The photo also becomes the favicon and Apple touch icon.
+ *
+ * Variants are named after a hash of the original, so they are only encoded
+ * again when the image changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Widths generated per kind of image, never wider than the original
+const WIDTHS = {
+  photo: [256, 512, 768, 1024],
+  logo: [64, 128],
+  project: [480, 960, 1440],
+};
+
+const FORMATS = {
+  avif: { quality: 55 },
+  webp: { quality: 75 },
+};
+
+const OUTPUT_DIR = 'images';
+
+// Formats sharp resizes; anything else (SVG, GIF) is served as it is
+const RASTER = /\.(jpe?g|png|webp|avif|tiff?)$/i;
+
+const isRemote = src => /^https?:\/\//i.test(src);
+
+/**
+ * An image field of resume.yaml, either "photo.png" or
+ * { src: "photo.png", alt: "..." }, as { src, alt }; src is relative to
+ * public/.
+ */
+function imageRef(value, defaultAlt = '') {
+  if (!value) return null;
+  const { src, alt } = typeof value === 'string' ? { src: value } : value;
+  if (typeof src !== 'string') return null;
+  return { src: isRemote(src) ? src : src.replace(/^\/+/, ''), alt: alt || defaultAlt };
+}
+
+// Every image of a resume, tagged with its kind
+function collectImages(resume) {
+  const images = [];
+  const photo = imageRef(resume.personal?.photo);
+  if (photo) images.push({ ...photo, kind: 'photo' });
+  for (const entry of Array.isArray(resume.experience) ? resume.experience : []) {
+    const logo = imageRef(entry.logo);
+    if (logo) images.push({ ...logo, kind: 'logo' });
+  }
+  for (const project of Array.isArray(resume.projects) ? resume.projects : []) {
+    for (const value of [project.image, ...(Array.isArray(project.gallery) ? project.gallery : [])]) {
+      const image = imageRef(value);
+      if (image) images.push({ ...image, kind: 'project' });
+    }
+  }
+  return images;
+}
+
+// Read a variant written by an earlier run, or encode it
+async function variant(publicDir, file, encode) {
+  const target = path.join(publicDir, file);
+  if (fs.existsSync(target)) return fs.readFileSync(target);
+  return encode();
+}
+
+async function processImage(sharp, publicDir, image, files) {
+  const input = fs.readFileSync(path.join(publicDir, image.src));
+  const hash = crypto.createHash('sha256').update(input).digest('hex').slice(0, 8);
+  const name = path.basename(image.src, path.extname(image.src)).replace(/[^\w-]+/g, '-');
+  // EXIF orientations 5-8 are rotated by 90°, so width and height swap
+  const metadata = await sharp(input).metadata();
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  const widths = WIDTHS[image.kind].filter(size => size < width);
+  if (widths.length < WIDTHS[image.kind].length) widths.push(width);
+
+  const srcset = {};
+  for (const [format, options] of Object.entries(FORMATS)) {
+    const entries = [];
+    for (const size of widths) {
+      const file = `${OUTPUT_DIR}/${name}-${hash}-${size}.${format}`;
+      files.set(`public/${file}`, await variant(publicDir, file, () => (
+        sharp(input).rotate().resize({ width: size })[format](options).toBuffer()
+      )));
+      entries.push([file, size]);
+    }
+    srcset[format] = entries;
+  }
+
+  const placeholder = await sharp(input).rotate().resize({ width: 16 }).webp({ quality: 40 }).toBuffer();
+  return {
+    width,
+    height,
+    srcset,
+    fallback: srcset.webp[srcset.webp.length - 1][0],
+    placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+  };
+}
+
+// Square icons cropped from the photo, picked up by Next.js from app/
+async function generateIcons(sharp, input, files) {
+  const icon = size => sharp(input).rotate().resize(size, size, { fit: 'cover', position: 'attention' }).png().toBuffer();
+  files.set('app/icon.png', await icon(192));
+  files.set('app/apple-icon.png', await icon(180));
+}
+
+/**
+ * Process every local raster image of the resume and its translations.
+ * Returns { images, files }: the processed images by src (see pageImage)
+ * and the generated files (variants and icons) by path.
+ */
+async function processImages(resumes, publicDir) {
+  const sharp = require('sharp');
+  const images = new Map();
+  const files = new Map();
+  let photo = null;
+
+  for (const resume of resumes) {
+    for (const image of collectImages(resume)) {
+      if (isRemote(image.src) || !RASTER.test(image.src) || images.has(image.src)) continue;
+      const file = path.join(publicDir, image.src);
+      if (!fs.existsSync(file)) continue;
+      try {
+        images.set(image.src, await processImage(sharp, publicDir, image, files));
+      } catch (error) {
+        // The page then links the original as it is
+        console.warn(`! Could not process ${path.relative(process.cwd(), file)}: ${error.message}`);
+        continue;
+      }
+      if (image.kind === 'photo' && !photo) photo = fs.readFileSync(file);
+    }
+  }
+
+  if (photo) await generateIcons(sharp, photo, files);
+  return { images, files };
+}
+
+/**
+ * An image as the page renders it: { src, alt } plus, when it was
+ * processed, { width, height, avif, webp, placeholder } with srcset strings.
+ * Paths get the site's basePath.
+ */
+function pageImage(ref, images, basePath) {
+  if (!ref) return null;
+  const url = file => (isRemote(file) ? file : `${basePath}/${file}`);
+  const info = images && images.get(ref.src);
+  if (!info) return { src: url(ref.src), alt: ref.alt };
+  const srcset = entries => entries.map(([file, size]) => `${url(file)} ${size}w`).join(', ');
+  return {
+    src: url(info.fallback),
+    alt: ref.alt,
+    width: info.width,
+    height: info.height,
+    avif: srcset(info.srcset.avif),
+    webp: srcset(info.srcset.webp),
+    placeholder: info.placeholder,
+  };
+}
+
+module.exports = { imageRef, collectImages, processImages, pageImage };
@@ -0,0 +1,355 @@
+/**
+ * JSON Resume (https://jsonresume.org/schema) conversion
+ * fromJsonResume turns a resume.json into the resume.yaml structure and
+ * toJsonResume goes the other way. Both return { ..., unmapped }, the
+ * paths of values that have no counterpart on the other side.
+ */
+
+const { LINK_TYPES, toLinkList } = require('./links');
+const { formatIsoDate, parsePeriod, isoDates, importDates } = require('./dates');
+const { plainText } = require('./markdown');
+const { imageRef } = require('./images');
+const { skillCategories, categoryTitle } = require('./skills');
+const { getLabels } = require('./i18n');
+const { list } = require('./utils');
+
+// Record the keys of `object` that were not handled, with their path
+function reportUnmapped(object, handled, basePath, unmapped) {
+  for (const [key, value] of Object.entries(object || {})) {
+    const empty = value === '' || value === null || (Array.isArray(value) && value.length === 0);
+    if (!handled.includes(key) && !empty) unmapped.push(`${basePath}.${key}`);
+  }
+}
+
+// JSON Resume profile networks that match a link type
+function profileLinkType(network) {
+  const key = String(network || '').toLowerCase().replace(/[^a-z]/g, '');
+  if (key === 'twitter' || key === 'x') return key;
+  return LINK_TYPES[key] ? key : null;
+}
+
+function importLinks(basics) {
+  const links = [];
+  if (basics.email) links.push({ type: 'email', url: basics.email });
+  if (basics.phone) links.push({ type: 'phone', url: basics.phone });
+  if (basics.url) links.push({ type: 'website', url: basics.url });
+  for (const profile of list(basics.profiles)) {
+    if (!profile.url) continue;
+    const type = profileLinkType(profile.network);
+    const link = type ? { type, url: profile.url } : { icon: 'Link', url: profile.url };
+    const label = profile.username || (!type && profile.network);
+    if (label) link.label = label;
+    links.push(link);
+  }
+  return links;
+}
+
+// Every keyword group becomes a skill category titled with its name; skills
+// without keywords are collected under technologies
+function importSkills(skills) {
+  const result = {};
+  const add = (key, title, items) => {
+    result[key] = result[key] || (title ? { title, items: [] } : []);
+    (Array.isArray(result[key]) ? result[key] : result[key].items).push(...items);
+  };
+  for (const skill of list(skills)) {
+    const keywords = list(skill.keywords);
+    if (keywords.length === 0) {
+      if (skill.name) add('technologies', null, [skill.name]);
+      continue;
+    }
+    const key = String(skill.name || 'skills').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '_').replace(/^_|_$/g, '');
+    add(key || 'skills', skill.name, keywords);
+  }
+  return result;
+}
+
+// Keys of an imported position that describe the company, not the role
+const COMPANY_KEYS = ['company', 'url', 'location'];
+
+function splitPosition(entry) {
+  const company = {};
+  const role = {};
+  for (const [key, value] of Object.entries(entry)) (COMPANY_KEYS.includes(key) ? company : role)[key] = value;
+  return { company, role };
+}
+
+// Consecutive positions at the same company, as exports list promotions,
+// become one entry with roles
+function groupRoles(experience) {
+  const result = [];
+  for (const entry of experience) {
+    const previous = result[result.length - 1];
+    if (!previous || !entry.company || previous.company !== entry.company) {
+      result.push(entry);
+      continue;
+    }
+    if (!previous.roles) {
+      const { company, role } = splitPosition(previous);
+      result[result.length - 1] = { ...company, roles: [role] };
+    }
+    const group = result[result.length - 1];
+    const { company, role } = splitPosition(entry);
+    if (company.location && company.location !== group.location) role.location = company.location;
+    group.roles.push(role);
+  }
+  return result;
+}
+
+function fromJsonResume(data) {
+  const unmapped = [];
+  const basics = data.basics || {};
+  const resume = {};
+
+  resume.personal = { name: basics.name || '', title: basics.label || '' };
+  // Photos are served from public/, a remote image has to be downloaded by hand
+  if (basics.image && !/^https?:/i.test(basics.image)) resume.personal.photo = basics.image;
+  else if (basics.image) unmapped.push('basics.image');
+  resume.personal.links = importLinks(basics);
+  if (basics.summary) resume.summary = basics.summary;
+  reportUnmapped(basics, ['name', 'label', 'image', 'email', 'phone', 'url', 'summary', 'profiles'], 'basics', unmapped);
+
+  resume.experience = groupRoles(list(data.work).map((work, index) => {
+    reportUnmapped(work, ['name', 'position', 'location', 'url', 'startDate', 'endDate', 'summary', 'highlights'], `work[${index}]`, unmapped);
+    const entry = {
+      title: work.position || '',
+      company: work.name || '',
+    };
+    if (work.location) entry.location = work.location;
+    if (work.url) entry.url = work.url;
+    return {
+      ...entry,
+      ...importDates(work.startDate, work.endDate),
+      responsibilities: [...(work.summary ? [work.summary] : []), ...list(work.highlights)],
+    };
+  }));
+
+  resume.projects = list(data.projects).map((project, index) => {
+    reportUnmapped(project, ['name', 'startDate', 'endDate', 'description', 'highlights', 'keywords'], `projects[${index}]`, unmapped);
+    const entry = { title: project.name || '', ...importDates(project.startDate, project.endDate) };
+    if (project.description) entry.description = project.description;
+    if (list(project.highlights).length > 0) entry.points = project.highlights;
+    if (list(project.keywords).length > 0) entry.tech = project.keywords;
+    return entry;
+  });
+
+  resume.volunteering = list(data.volunteer).map((volunteer, index) => {
+    reportUnmapped(volunteer, ['organization', 'position', 'startDate', 'endDate', 'summary', 'highlights', 'url'], `volunteer[${index}]`, unmapped);
+    const entry = {
+      title: volunteer.position || '',
+      organization: volunteer.organization,
+      ...importDates(volunteer.startDate, volunteer.endDate),
+      description: [volunteer.summary, ...list(volunteer.highlights)].filter(Boolean).join(' '),
+    };
+    if (!entry.organization) delete entry.organization;
+    if (volunteer.url) entry.link = { text: 'Website', url: volunteer.url };
+    return entry;
+  });
+
+  resume.skills = importSkills(data.skills);
+  list(data.skills).forEach((skill, index) => {
+    reportUnmapped(skill, ['name', 'keywords'], `skills[${index}]`, unmapped);
+  });
+
+  resume.education = list(data.education).map((education, index) => {
+    reportUnmapped(education, ['institution', 'area', 'studyType', 'startDate', 'endDate'], `education[${index}]`, unmapped);
+    return {
+      degree: [education.studyType, education.area].filter(Boolean).join(', '),
+      institution: education.institution || '',
+      ...importDates(education.startDate, education.endDate),
+    };
+  });
+
+  resume.languages = list(data.languages).map((language, index) => {
+    reportUnmapped(language, ['language', 'fluency'], `languages[${index}]`, unmapped);
+    return language.fluency ? `${language.language} (${language.fluency})` : language.language;
+  });
+
+  resume.certifications = list(data.certificates).map((certificate, index) => {
+    reportUnmapped(certificate, ['name', 'issuer', 'date', 'url'], `certificates[${index}]`, unmapped);
+    const entry = { name: certificate.name || '', issuer: certificate.issuer || '' };
+    if (certificate.date) entry.date = formatIsoDate(certificate.date);
+    if (certificate.url) entry.url = certificate.url;
+    return entry;
+  });
+
+  resume.publications = list(data.publications).map((publication, index) => {
+    reportUnmapped(publication, ['name', 'publisher', 'releaseDate', 'url', 'summary'], `publications[${index}]`, unmapped);
+    const entry = { title: publication.name || '' };
+    if (publication.publisher) entry.venue = publication.publisher;
+    if (publication.releaseDate) entry.date = formatIsoDate(publication.releaseDate);
+    if (publication.url) entry.url = publication.url;
+    if (publication.summary) entry.description = publication.summary;
+    return entry;
+  });
+
+  resume.awards = list(data.awards).map((award, index) => {
+    reportUnmapped(award, ['title', 'awarder', 'date', 'summary'], `awards[${index}]`, unmapped);
+    const entry = { title: award.title || '' };
+    if (award.awarder) entry.issuer = award.awarder;
+    if (award.date) entry.date = formatIsoDate(award.date);
+    if (award.summary) entry.description = award.summary;
+    return entry;
+  });
+
+  reportUnmapped(data, [
+    '$schema', 'basics', 'work', 'projects', 'volunteer', 'skills', 'education', 'languages',
+    'certificates', 'publications', 'awards',
+  ], '', unmapped);
+
+  // Leave out sections that stayed empty
+  for (const [key, value] of Object.entries(resume)) {
+    const empty = Array.isArray(value) ? value.length === 0 : value && typeof value === 'object' && Object.keys(value).length === 0;
+    if (empty && key !== 'personal') delete resume[key];
+  }
+
+  return { resume, unmapped: unmapped.map(entry => entry.replace(/^\./, '')) };
+}
+
+// Drop empty values, JSON Resume leaves unknown fields out
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => (
+    value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)
+  )));
+}
+
+// The (start) date of a free-text date such as "Mar 2024"
+function isoDate(text) {
+  return text ? parsePeriod(text)?.startDate : undefined;
+}
+
+// ISO dates from start/end or a free-text period; unparsable periods are reported
+function exportDates(entry, pathName, unmapped) {
+  if (entry.start === undefined && !entry.period) return {};
+  const dates = isoDates(entry);
+  if (!dates) unmapped.push(`${pathName}.period`);
+  return dates || {};
+}
+
+function exportBasics(resume, unmapped) {
+  const { personal } = resume;
+  const basics = { name: personal.name, label: personal.title };
+  if (personal.photo) basics.image = imageRef(personal.photo).src;
+  if (resume.summary) basics.summary = plainText(resume.summary, { breaks: true });
+
+  const profiles = [];
+  for (const link of toLinkList(personal.links)) {
+    const type = LINK_TYPES[link.type];
+    if (link.type === 'email' && !basics.email) basics.email = link.url.replace(/^mailto:/i, '');
+    else if (link.type === 'phone' && !basics.phone) basics.phone = link.url.replace(/^tel:/i, '');
+    else if (link.type === 'website' && !basics.url) basics.url = link.url;
+    else {
+      const profile = { network: type ? type.label : link.label || link.icon, url: link.url };
+      // The legacy github/telegram entries keep the handle as their label
+      if (type && link.label && link.label !== type.label) profile.username = link.label;
+      profiles.push(profile);
+    }
+  }
+  if (profiles.length > 0) basics.profiles = profiles;
+  return basics;
+}
+
+function toJsonResume(resume) {
+  const unmapped = [];
+  const data = {
+    $schema: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+    basics: exportBasics(resume, unmapped),
+  };
+
+  // A company with roles becomes one work entry per role
+  data.work = list(resume.experience).flatMap((exp, index) => {
+    for (const key of ['employment_type', 'logo', 'tech']) {
+      if (exp[key] !== undefined) unmapped.push(`experience[${index}].${key}`);
+    }
+    const positions = list(exp.roles).length > 0
+      ? exp.roles.map((role, roleIndex) => [role, `experience[${index}].roles[${roleIndex}]`])
+      : [[exp, `experience[${index}]`]];
+    return positions.map(([position, pathName]) => {
+      for (const key of exp.roles ? ['employment_type', 'tech'] : []) {
+        if (position[key] !== undefined) unmapped.push(`${pathName}.${key}`);
+      }
+      return compact({
+        name: exp.company,
+        position: position.title,
+        location: position.location || exp.location,
+        url: exp.url,
+        ...exportDates(position, pathName, unmapped),
+        highlights: list(position.responsibilities).map(point => plainText(point)),
+      });
+    });
+  });
+
+  data.projects = list(resume.projects).map((project, index) => compact({
+    name: project.title,
+    ...exportDates(project, `projects[${index}]`, unmapped),
+    description: plainText(project.description),
+    highlights: list(project.points).map(point => plainText(point)),
+    keywords: project.tech,
+  }));
+
+  data.volunteer = list(resume.volunteering).map((volunteer, index) => compact({
+    organization: volunteer.organization,
+    position: volunteer.title,
+    ...exportDates(volunteer, `volunteering[${index}]`, unmapped),
+    summary: plainText(volunteer.description),
+    url: volunteer.link?.url,
+  }));
+
+  // Categories are keyword groups; levels and years have no counterpart
+  data.skills = skillCategories(resume.skills)
+    .filter(category => category.items.length > 0)
+    .map(category => {
+      if (category.items.some(item => item.level || item.years)) unmapped.push(`skills.${category.key} levels and years`);
+      return { name: categoryTitle(category, getLabels(resume.locale)), keywords: category.items.map(item => item.name) };
+    });
+
+  data.education = list(resume.education).map((education, index) => {
+    // "Bachelor's degree, Computer Science" -> study type and area
+    const [studyType, ...area] = String(education.degree).split(', ');
+    return compact({
+      institution: education.institution,
+      studyType,
+      area: area.join(', '),
+      ...exportDates(education, `education[${index}]`, unmapped),
+    });
+  });
+
+  data.languages = list(resume.languages).map(language => {
+    const match = /^(.*?)\s*\((.*)\)$/.exec(language);
+    return match ? { language: match[1], fluency: match[2] } : { language };
+  });
+
+  data.certificates = list(resume.certifications).map(cert => compact({
+    name: cert.name,
+    issuer: cert.issuer,
+    date: isoDate(cert.date),
+    url: cert.url,
+  }));
+
+  data.publications = list(resume.publications).map(pub => compact({
+    name: pub.title,
+    publisher: pub.venue,
+    releaseDate: isoDate(pub.date),
+    url: pub.url || (pub.doi && `https://doi.org/${pub.doi}`),
+    summary: plainText(pub.description),
+  }));
+
+  data.awards = list(resume.awards).map(award => compact({
+    title: award.title,
+    awarder: award.issuer,
+    date: isoDate(award.date),
+    summary: plainText(award.description),
+  }));
+
+  for (const key of ['talks', 'custom_sections', 'translations']) {
+    if (list(resume[key]).length > 0) unmapped.push(key);
+  }
+
+  for (const [key, value] of Object.entries(data)) {
+    if (Array.isArray(value) && value.length === 0) delete data[key];
+  }
+
+  return { data, unmapped };
+}
+
+module.exports = { fromJsonResume, toJsonResume, groupRoles };
@@ -0,0 +1,230 @@
+/**
+ * LinkedIn data export import
+ * LinkedIn's "Get a copy of your data" archive is a ZIP of CSV files
+ * (Profile.csv, Positions.csv, ...). fromLinkedInExport maps the ones that
+ * have a place in resume.yaml and reports every other non-empty column.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readZip } = require('./zip');
+const { importDates } = require('./dates');
+const { groupRoles } = require('./json-resume');
+
+// RFC 4180 CSV: quoted fields may contain commas, quotes ("") and newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const source = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  return records.map(cells => Object.fromEntries(header.map((name, index) => [name.trim(), (cells[index] || '').trim()])));
+}
+
+// A multi-line LinkedIn description as separate points, without bullet characters
+function toPoints(description) {
+  return description.split(/\n+/).map(line => line.replace(/^\s*[-•*▪·]\s*/, '').trim()).filter(Boolean);
+}
+
+// "[PERSONAL:https://example.com,BLOG:https://blog.example.com]" -> urls
+function parseWebsites(value) {
+  return value.replace(/^\[|\]$/g, '').split(',')
+    .map(entry => entry.replace(/^[A-Z_]+:/, '').trim())
+    .filter(url => /^https?:/i.test(url));
+}
+
+// What each CSV maps to, in resume.yaml order, and which of its columns are
+// used (or are bookkeeping that is not part of a resume)
+const FILES = {
+  'Profile.csv': {
+    columns: ['First Name', 'Last Name', 'Headline', 'Summary', 'Websites', 'Twitter Handles'],
+    apply(rows, resume) {
+      const profile = rows[0] || {};
+      resume.personal.name = [profile['First Name'], profile['Last Name']].filter(Boolean).join(' ');
+      resume.personal.title = profile.Headline || '';
+      if (profile.Summary) resume.summary = profile.Summary;
+      for (const url of parseWebsites(profile.Websites || '')) {
+        resume.personal.links.push({ type: 'website', url });
+      }
+      for (const handle of (profile['Twitter Handles'] || '').replace(/^\[|\]$/g, '').split(',').filter(Boolean)) {
+        const name = handle.trim().replace(/^@/, '');
+        resume.personal.links.push({ type: 'x', url: `https://x.com/${name}`, label: `@${name}` });
+      }
+    },
+  },
+  'Email Addresses.csv': {
+    columns: ['Email Address', 'Primary', 'Confirmed', 'Updated On'],
+    apply(rows, resume) {
+      const email = rows.find(row => row.Primary === 'Yes') || rows[0];
+      if (email) resume.personal.links.unshift({ type: 'email', url: email['Email Address'] });
+    },
+  },
+  'PhoneNumbers.csv': {
+    columns: ['Number', 'Type', 'Extension'],
+    apply(rows, resume) {
+      if (rows[0]?.Number) resume.personal.links.push({ type: 'phone', url: rows[0].Number });
+    },
+  },
+  'Positions.csv': {
+    columns: ['Company Name', 'Title', 'Description', 'Location', 'Started On', 'Finished On'],
+    apply(rows, resume) {
+      resume.experience = groupRoles(rows.map(row => {
+        const entry = { title: row.Title, company: row['Company Name'] };
+        if (row.Location) entry.location = row.Location;
+        return {
+          ...entry,
+          ...importDates(row['Started On'], row['Finished On']),
+          responsibilities: toPoints(row.Description || ''),
+        };
+      }));
+    },
+  },
+  'Projects.csv': {
+    columns: ['Title', 'Description', 'Started On', 'Finished On'],
+    apply(rows, resume) {
+      resume.projects = rows.map(row => {
+        const entry = { title: row.Title, ...importDates(row['Started On'], row['Finished On']) };
+        if (row.Description) entry.description = row.Description;
+        return entry;
+      });
+    },
+  },
+  'Volunteering.csv': {
+    columns: ['Company Name', 'Role', 'Started On', 'Finished On', 'Description'],
+    apply(rows, resume) {
+      resume.volunteering = rows.map(row => ({
+        title: row.Role,
+        organization: row['Company Name'],
+        ...importDates(row['Started On'], row['Finished On']),
+        description: row.Description,
+      }));
+    },
+  },
+  'Skills.csv': {
+    columns: ['Name'],
+    apply(rows, resume) {
+      // LinkedIn skills are not grouped, so they all start out as technologies
+      resume.skills = { technologies: rows.map(row => row.Name).filter(Boolean) };
+    },
+  },
+  'Education.csv': {
+    columns: ['School Name', 'Start Date', 'End Date', 'Degree Name'],
+    apply(rows, resume) {
+      resume.education = rows.map(row => ({
+        degree: row['Degree Name'],
+        institution: row['School Name'],
+        ...importDates(row['Start Date'], row['End Date']),
+      }));
+    },
+  },
+  'Languages.csv': {
+    columns: ['Name', 'Proficiency'],
+    apply(rows, resume) {
+      resume.languages = rows.map(row => (row.Proficiency ? `${row.Name} (${row.Proficiency})` : row.Name));
+    },
+  },
+  'Certifications.csv': {
+    columns: ['Name', 'Url', 'Authority', 'Started On', 'License Number'],
+    apply(rows, resume) {
+      resume.certifications = rows.map(row => {
+        const entry = { name: row.Name, issuer: row.Authority };
+        if (row['Started On']) entry.date = row['Started On'];
+        if (row['License Number']) entry.credential_id = row['License Number'];
+        if (row.Url) entry.url = row.Url;
+        return entry;
+      });
+    },
+  },
+  'Publications.csv': {
+    columns: ['Name', 'Published On', 'Description', 'Publisher', 'Url'],
+    apply(rows, resume) {
+      resume.publications = rows.map(row => {
+        const entry = { title: row.Name };
+        if (row.Publisher) entry.venue = row.Publisher;
+        if (row['Published On']) entry.date = row['Published On'];
+        if (row.Url) entry.url = row.Url;
+        if (row.Description) entry.description = row.Description;
+        return entry;
+      });
+    },
+  },
+  'Honors.csv': {
+    columns: ['Title', 'Description', 'Issued On'],
+    apply(rows, resume) {
+      resume.awards = rows.map(row => {
+        const entry = { title: row.Title };
+        if (row['Issued On']) entry.date = row['Issued On'];
+        if (row.Description) entry.description = row.Description;
+        return entry;
+      });
+    },
+  },
+};
+
+// Map of file name -> CSV text, from the export ZIP or its extracted folder
+function readLinkedInExport(exportPath) {
+  const files = new Map();
+  if (fs.statSync(exportPath).isDirectory()) {
+    for (const name of fs.readdirSync(exportPath, { recursive: true })) {
+      if (name.endsWith('.csv')) files.set(name, fs.readFileSync(path.join(exportPath, name), 'utf8'));
+    }
+  } else {
+    for (const [name, data] of readZip(fs.readFileSync(exportPath))) {
+      if (name.endsWith('.csv')) files.set(name, data.toString('utf8'));
+    }
+  }
+  return files;
+}
+
+function fromLinkedInExport(files) {
+  const unmapped = [];
+  const resume = { personal: { name: '', title: '', links: [] } };
+
+  for (const [fileName, file] of Object.entries(FILES)) {
+    const name = [...files.keys()].find(entry => path.basename(entry) === fileName);
+    if (!name) continue;
+    const rows = parseCsv(files.get(name));
+    file.apply(rows, resume);
+    rows.forEach((row, index) => {
+      for (const [column, value] of Object.entries(row)) {
+        if (value && !file.columns.includes(column)) unmapped.push(`${fileName} row ${index + 1}: ${column}`);
+      }
+    });
+  }
+  return { resume, unmapped };
+}
+
+module.exports = { parseCsv, readLinkedInExport, fromLinkedInExport };
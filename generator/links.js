@@ -0,0 +1,75 @@
+/**
+ * Header links
+ * personal.links is either the original object form (github, linkedin,
+ * email, telegram) or an ordered list of { type | icon, url, label }.
+ * Both are normalized to [{ icon, label, href, rel }] for the page.
+ */
+
+// Known link types: lucide-react icon, default label and how the url becomes an href
+const LINK_TYPES = {
+  github: { icon: 'Github', label: 'GitHub' },
+  gitlab: { icon: 'Gitlab', label: 'GitLab' },
+  linkedin: { icon: 'Linkedin', label: 'LinkedIn' },
+  x: { icon: 'Twitter', label: 'X' },
+  twitter: { icon: 'Twitter', label: 'Twitter' },
+  // rel="me" lets Mastodon verify the link back to this site
+  mastodon: { icon: 'AtSign', label: 'Mastodon', rel: 'me noopener noreferrer' },
+  website: { icon: 'Globe', label: 'Website' },
+  stackoverflow: { icon: 'Layers', label: 'Stack Overflow' },
+  orcid: { icon: 'IdCard', label: 'ORCID' },
+  telegram: { icon: 'MessageCircle', label: 'Telegram' },
+  email: { icon: 'Mail', label: 'Email', scheme: 'mailto:' },
+  phone: { icon: 'Phone', label: 'Phone', scheme: 'tel:' },
+  calendar: { icon: 'CalendarDays', label: 'Book a call' },
+};
+
+const EXTERNAL_REL = 'noopener noreferrer';
+
+// Prefix plain addresses and numbers with mailto: / tel:
+function toHref(url, scheme) {
+  if (!scheme || /^[a-z][a-z0-9+.-]*:/i.test(url)) return url;
+  return `${scheme}${scheme === 'tel:' ? url.replace(/[^\d+]/g, '') : url}`;
+}
+
+// The original object form, kept for existing resume.yaml files
+function fromLegacyLinks(links) {
+  const list = [];
+  if (links.github) list.push({ type: 'github', label: links.github.username, url: links.github.url });
+  if (links.linkedin) list.push({ type: 'linkedin', label: 'LinkedIn', url: links.linkedin.url });
+  if (links.email) list.push({ type: 'email', label: 'Email', url: links.email.address });
+  if (links.telegram) list.push({ type: 'telegram', label: links.telegram.username, url: links.telegram.url });
+  return list;
+}
+
+// personal.links in list form, whichever form resume.yaml uses
+function toLinkList(links) {
+  if (!links) return [];
+  return Array.isArray(links) ? links : fromLegacyLinks(links);
+}
+
+function normalizeLinks(links) {
+  return toLinkList(links).map(link => {
+    const type = LINK_TYPES[link.type] || {};
+    const href = toHref(link.url, type.scheme);
+    const external = /^https?:/i.test(href);
+    return {
+      icon: link.icon || type.icon || 'Link',
+      label: link.label || type.label || link.url,
+      href,
+      rel: external ? type.rel || EXTERNAL_REL : null,
+    };
+  });
+}
+
+let lucideIcons = null;
+
+// Names of every icon component exported by lucide-react
+function lucideIconNames() {
+  if (!lucideIcons) {
+    const lucide = require('lucide-react');
+    lucideIcons = new Set(Object.keys(lucide).filter(name => /^[A-Z]/.test(name) && typeof lucide[name] === 'object'));
+  }
+  return lucideIcons;
+}
+
+module.exports = { LINK_TYPES, toLinkList, normalizeLinks, lucideIconNames };
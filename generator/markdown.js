@@ -0,0 +1,215 @@
+/**
+ * Inline Markdown
+ * Summary, responsibilities, project points and descriptions accept a safe
+ * subset of Markdown: **strong**, *emphasis*, `code`, [links](https://...)
+ * and line breaks. Text is parsed into plain data nodes that the page
+ * components render, so no markup from resume.yaml ever reaches the page as
+ * HTML; raw HTML is shown as written.
+ *
+ *   'Cut **40%** of `CI` time' ->
+ *   ['Cut ', { type: 'strong', children: ['40%'] }, ' of ', { type: 'code', text: 'CI' }, ' time']
+ *
+ * plainText strips the markup again for the PDF, JSON Resume and metadata.
+ */
+
+// Characters a backslash makes literal
+const ESCAPABLE = '\\`*_[]()<>#!~';
+
+// Link targets that are safe to put in an href; everything else stays text.
+// A path starts with one slash: browsers read //host and /\host as a host
+const SAFE_HREF = /^(https?:\/\/|mailto:|tel:|\/(?![/\\])|#)/i;
+
+const HTML_TAG = /<\/?[a-z][a-z0-9-]*(\s[^<>]*)?\/?>/i;
+
+const isSpace = char => char === undefined || /\s/.test(char);
+const isWordChar = char => char !== undefined && /[\p{L}\p{N}]/u.test(char);
+
+// Index just past the closing backtick of a code span at `start`, or -1
+function codeSpanEnd(text, start) {
+  const end = text.indexOf('`', start + 1);
+  return end > start + 1 ? end + 1 : -1;
+}
+
+// Index of the closing delimiter of an emphasis opened at `start`, or -1.
+// `_` only counts at word boundaries, so snake_case stays as it is.
+function emphasisEnd(text, start, delimiter) {
+  const char = delimiter[0];
+  if (isSpace(text[start + delimiter.length])) return -1;
+  if (char === '_' && isWordChar(text[start - 1])) return -1;
+
+  let index = start + delimiter.length + 1;
+  while (index < text.length) {
+    if (text[index] === '\\') {
+      index += 2;
+      continue;
+    }
+    if (text[index] === '`' && codeSpanEnd(text, index) > 0) {
+      index = codeSpanEnd(text, index);
+      continue;
+    }
+    if (text.startsWith(delimiter, index) && !isSpace(text[index - 1])
+      && !(char === '_' && isWordChar(text[index + delimiter.length]))) {
+      // A single delimiter must not be half of a nested double one
+      if (delimiter.length === 2 || text[index + 1] !== char) return index;
+    }
+    // Skip nested doubles inside a single delimiter: *a **b** c*
+    index += delimiter.length === 1 && text.startsWith(char + char, index) ? 2 : 1;
+  }
+  return -1;
+}
+
+// [text](href) at `start`: { label, href, end } or null
+function matchLink(text, start) {
+  let depth = 0;
+  let close = -1;
+  for (let index = start; index < text.length; index++) {
+    if (text[index] === '\\') index++;
+    else if (text[index] === '[') depth++;
+    else if (text[index] === ']' && --depth === 0) {
+      close = index;
+      break;
+    }
+  }
+  if (close < 0 || text[close + 1] !== '(') return null;
+  // The href may contain balanced parentheses, as in Wikipedia URLs
+  const match = /^\(\s*<?((?:[^\s<>()]|\([^\s<>()]*\))+)>?\s*\)/.exec(text.slice(close + 1));
+  if (!match) return null;
+  return { label: text.slice(start + 1, close), href: match[1], end: close + 1 + match[0].length };
+}
+
+function linkNode(href, children) {
+  return { type: 'link', href, external: /^https?:/i.test(href), children };
+}
+
+/**
+ * Parse inline Markdown into nodes: strings and
+ * { type: 'strong' | 'em', children }, { type: 'code', text },
+ * { type: 'link', href, external, children } and { type: 'br' }.
+ * With `breaks`, every newline is a line break; otherwise only a line
+ * ending in two spaces or a backslash is, and the rest are spaces.
+ */
+function parseInline(text, { breaks = false } = {}) {
+  const nodes = [];
+  let buffer = '';
+  const flush = () => {
+    if (buffer) nodes.push(buffer);
+    buffer = '';
+  };
+
+  let index = 0;
+  while (index < text.length) {
+    const char = text[index];
+
+    if (char === '\\' && text[index + 1] === '\n') {
+      flush();
+      nodes.push({ type: 'br' });
+      index += 2;
+      continue;
+    }
+    if (char === '\\' && ESCAPABLE.includes(text[index + 1])) {
+      buffer += text[index + 1];
+      index += 2;
+      continue;
+    }
+    if (char === '\n') {
+      const hard = breaks || / {2,}$/.test(buffer);
+      buffer = buffer.replace(/ +$/, '');
+      if (hard) {
+        flush();
+        nodes.push({ type: 'br' });
+      } else {
+        buffer += ' ';
+      }
+      index++;
+      continue;
+    }
+    if (char === '`') {
+      const end = codeSpanEnd(text, index);
+      if (end > 0) {
+        flush();
+        nodes.push({ type: 'code', text: text.slice(index + 1, end - 1) });
+        index = end;
+        continue;
+      }
+    }
+    if (char === '[') {
+      const link = matchLink(text, index);
+      if (link && SAFE_HREF.test(link.href)) {
+        flush();
+        nodes.push(linkNode(link.href, parseInline(link.label, { breaks })));
+        index = link.end;
+        continue;
+      }
+    }
+    if (char === '*' || char === '_') {
+      const delimiter = text[index + 1] === char ? char + char : char;
+      const end = emphasisEnd(text, index, delimiter);
+      if (end > 0) {
+        flush();
+        const children = parseInline(text.slice(index + delimiter.length, end), { breaks });
+        nodes.push({ type: delimiter.length === 2 ? 'strong' : 'em', children });
+        index = end + delimiter.length;
+        continue;
+      }
+    }
+
+    buffer += char;
+    index++;
+  }
+  flush();
+  return nodes;
+}
+
+// Paragraphs are separated by blank lines
+function splitParagraphs(text) {
+  return String(text || '').trim().split(/\n[ \t]*\n\s*/).filter(Boolean);
+}
+
+// Markdown with paragraphs (the summary): a list of paragraphs, each a node list
+function parseParagraphs(text, options) {
+  return splitParagraphs(text).map(paragraph => parseInline(paragraph, options));
+}
+
+// Markdown within one element (a description or bullet point); paragraphs
+// become a blank line
+function parseText(text) {
+  return parseParagraphs(text).reduce((nodes, paragraph, index) => (
+    index === 0 ? paragraph : [...nodes, { type: 'br' }, { type: 'br' }, ...paragraph]
+  ), []);
+}
+
+function nodesToText(nodes) {
+  return nodes.map(node => {
+    if (typeof node === 'string') return node;
+    if (node.type === 'br') return '\n';
+    if (node.type === 'code') return node.text;
+    return nodesToText(node.children);
+  }).join('');
+}
+
+// The text without its markup; paragraphs stay separated by a blank line.
+// Options are those of parseInline.
+function plainText(text, options) {
+  if (!text) return '';
+  return splitParagraphs(text).map(paragraph => nodesToText(parseInline(paragraph, options))).join('\n\n');
+}
+
+// Problems with the Markdown of a field, for validation
+function markdownIssues(text) {
+  const issues = [];
+  const tag = HTML_TAG.exec(text);
+  if (tag) {
+    issues.push(`contains HTML (${tag[0]}), which is shown as text; use Markdown such as **bold** or [a link](https://...) instead`);
+  }
+  let index = text.indexOf('[');
+  while (index >= 0) {
+    const link = matchLink(text, index);
+    if (link && !SAFE_HREF.test(link.href)) {
+      issues.push(`link to "${link.href}" is not allowed and is shown as text; links must start with https://, http://, mailto:, tel:, a single / or #`);
+    }
+    index = text.indexOf('[', index + 1);
+  }
+  return issues;
+}
+
+module.exports = { parseInline, parseParagraphs, parseText, plainText, markdownIssues };
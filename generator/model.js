@@ -0,0 +1,322 @@
+/**
+ * Resume data model
+ * Turns the parsed resume.yaml into the ordered, render-ready structure
+ * shared by every output (resume.ts for the page, resume.pdf):
+ *
+ *   { locale, dir, labels, name, firstName, lastName, title, photo, links, sections }
+ *
+ * A section is { id, title, layout, ... } with either `text` (summary),
+ * `groups` (skills, see skills.js: [{ id, title, display, items }] with
+ * items { name, id, level, rating, years, duration, used }) or `items`. An item is
+ * { title, subtitle, period, duration, description, points, links, span, images },
+ * where every field except title is optional, links is [{ text, url }] and
+ * images (and the photo) are { src, alt } with src relative to public/.
+ * Experience items may also have a company `url` and `logo`, `meta`
+ * (employment type and location), technology `tags` ([{ name, id }], id
+ * set when the skill is declared; projects have them too) and `roles`: the
+ * positions held at one company, each { title, period, duration, meta,
+ * points, tags }. An item with roles is titled with the company.
+ * Dated entries are sorted most recent first, their period is formatted for
+ * the locale from start/end unless resume.yaml gives one, and the
+ * experience section carries the total `duration` of all positions.
+ * Sections without content are left out. Section titles and the other
+ * generated texts come from the labels of the resume's locale (i18n.js).
+ */
+
+const { normalizeLinks } = require('./links');
+const { imageRef } = require('./images');
+const { dateRange, spanDates, sortByDate, formatRange, formatDuration, totalMonths } = require('./dates');
+const { getLabels, textDirection, DEFAULT_LOCALE } = require('./i18n');
+const { MAX_LEVEL, skillId, skillCategories, categoryTitle, skillNames, skillReferences } = require('./skills');
+const { list } = require('./utils');
+
+// Order used when resume.yaml has no layout.sections; custom sections follow
+const DEFAULT_SECTIONS = [
+  'summary', 'experience', 'projects', 'volunteering', 'skills', 'education',
+  'certifications', 'publications', 'awards', 'talks', 'languages',
+];
+
+// Sections that go to the narrow column of two-column layouts (the
+// two-column template and PDF)
+const SIDEBAR_SECTIONS = ['skills', 'education', 'languages', 'certifications', 'awards'];
+
+// Layouts custom sections can choose from
+const CUSTOM_LAYOUTS = ['timeline', 'cards', 'list'];
+
+// Values of employment_type; each is shown with its label (full-time -> full_time)
+const EMPLOYMENT_TYPES = ['full-time', 'part-time', 'contract', 'freelance', 'internship', 'remote'];
+
+// The positions of experience entries, with roles in place of their company
+const positions = entries => list(entries).flatMap(entry => (list(entry.roles).length > 0 ? entry.roles : [entry]));
+
+// Sorting and formatting of dated entries for one locale
+function dateFormatter(resume, locale, labels, now) {
+  const structured = entry => entry.start !== undefined;
+  const months = range => range.end - range.start + 1;
+  return {
+    sort: entries => (resume.layout?.sort === false ? list(entries) : sortByDate(list(entries), now)),
+    period: entry => entry.period || (structured(entry) ? formatRange(entry, locale, labels) : undefined),
+    // Only ranges have a duration, not single dates
+    duration(entry) {
+      const range = structured(entry) && entry.end !== undefined && dateRange(entry, now);
+      return range && range.end >= range.start ? formatDuration(months(range), labels) : undefined;
+    },
+    // Overlapping positions count once; only when every one has start/end
+    total(entries) {
+      const all = positions(entries);
+      if (all.length === 0 || !all.every(structured)) return undefined;
+      const ranges = all.map(entry => dateRange(entry, now));
+      return ranges.every(Boolean) ? formatDuration(totalMonths(ranges), labels) : undefined;
+    },
+    // The period of a company, from its first to its last role
+    span(entry) {
+      if (entry.period) return entry.period;
+      const span = spanDates(list(entry.roles), now);
+      return span ? formatRange(span, locale, labels) : undefined;
+    },
+  };
+}
+
+// The `tech` of an entry as tags; declared skills get the id they are matched by
+function skillTags(resume, names) {
+  const declared = new Set(skillNames(resume.skills).map(skillId));
+  return list(names).map(name => (declared.has(skillId(name)) ? { name, id: skillId(name) } : { name }));
+}
+
+// Skill categories with their titles; a category whose skills have levels
+// shows them unless it chooses another display
+function skillGroups(resume, labels) {
+  const used = new Set(skillReferences(resume).map(([, name]) => skillId(name)));
+  return skillCategories(resume.skills)
+    .filter(category => category.items.length > 0)
+    .map(category => ({
+      id: category.key,
+      title: categoryTitle(category, labels),
+      display: category.display || (category.items.some(item => item.level) ? 'levels' : 'tags'),
+      items: category.items.map(item => ({
+        name: item.name,
+        id: skillId(item.name),
+        level: item.level,
+        years: item.years,
+        rating: item.level ? `${labels.level} ${item.level}/${MAX_LEVEL}` : undefined,
+        duration: item.years ? formatDuration(Math.round(item.years * 12), labels) : undefined,
+        used: used.has(skillId(item.name)),
+      })),
+    }));
+}
+
+// "Full-time · Remote · Berlin" from employment_type and location
+function employmentMeta(entry, labels) {
+  const types = [entry.employment_type].flat().filter(Boolean);
+  const parts = [...types.map(type => labels[type.replace('-', '_')]), entry.location].filter(Boolean);
+  return parts.length > 0 ? parts.join(' · ') : undefined;
+}
+
+// One experience entry: a position, or a company with the roles held there
+function experienceItem(resume, exp, labels, dates) {
+  const company = {
+    url: exp.url,
+    logo: imageRef(exp.logo, exp.company) || undefined,
+    meta: employmentMeta(exp, labels),
+  };
+  if (list(exp.roles).length === 0) {
+    return {
+      title: exp.title,
+      subtitle: exp.company,
+      ...company,
+      period: dates.period(exp),
+      duration: dates.duration(exp),
+      points: list(exp.responsibilities),
+      tags: skillTags(resume, exp.tech),
+    };
+  }
+  return {
+    title: exp.company,
+    ...company,
+    period: dates.span(exp),
+    duration: dates.total(exp.roles),
+    roles: dates.sort(exp.roles).map(role => ({
+      title: role.title,
+      period: dates.period(role),
+      duration: dates.duration(role),
+      meta: employmentMeta(role, labels),
+      points: list(role.responsibilities),
+      tags: skillTags(resume, role.tech),
+    })),
+  };
+}
+
+// Built-in sections: layout and how resume.yaml maps to items; the title
+// is the label with the section's id. `dates` is a dateFormatter.
+const SECTION_BUILDERS = {
+  summary: {
+    layout: 'text',
+    build: ({ summary }) => ({ text: summary && summary.trim() ? summary : '' }),
+  },
+  experience: {
+    layout: 'timeline',
+    build: (resume, labels, dates) => ({
+      duration: dates.total(resume.experience),
+      items: dates.sort(resume.experience).map(exp => experienceItem(resume, exp, labels, dates)),
+    }),
+  },
+  projects: {
+    layout: 'cards',
+    build: (resume, labels, dates) => ({
+      items: dates.sort(resume.projects).map(proj => ({
+        title: proj.title,
+        period: dates.period(proj),
+        description: proj.description ? proj.description.trim() : '',
+        points: list(proj.points),
+        tags: skillTags(resume, proj.tech),
+        span: proj.span === 2 ? 2 : 1,
+        images: [proj.image, ...list(proj.gallery)].filter(Boolean).map(image => imageRef(image, proj.title)),
+      })),
+    }),
+  },
+  volunteering: {
+    layout: 'timeline',
+    build: ({ volunteering }, labels, dates) => ({
+      items: dates.sort(volunteering).map(vol => ({
+        title: vol.title,
+        subtitle: vol.organization,
+        period: dates.period(vol),
+        duration: dates.duration(vol),
+        description: vol.description,
+        links: vol.link ? [vol.link] : [],
+      })),
+    }),
+  },
+  skills: {
+    layout: 'tags',
+    build: (resume, labels) => ({ groups: skillGroups(resume, labels) }),
+  },
+  education: {
+    layout: 'timeline',
+    build: ({ education }, labels, dates) => ({
+      items: dates.sort(education).map(edu => ({
+        title: edu.degree,
+        subtitle: edu.institution,
+        period: dates.period(edu),
+      })),
+    }),
+  },
+  languages: {
+    layout: 'list',
+    build: ({ languages }) => ({ items: list(languages).map(lang => ({ title: lang })) }),
+  },
+  certifications: {
+    layout: 'cards',
+    build: ({ certifications }, labels) => ({
+      items: list(certifications).map(cert => ({
+        title: cert.name,
+        subtitle: cert.credential_id ? `${cert.issuer} · ${labels.credential_id} ${cert.credential_id}` : cert.issuer,
+        period: cert.date,
+        links: cert.url ? [{ text: labels.view_credential, url: cert.url }] : [],
+      })),
+    }),
+  },
+  publications: {
+    layout: 'list',
+    build: ({ publications }, labels) => ({
+      items: list(publications).map(pub => {
+        const links = [];
+        if (pub.doi) links.push({ text: `DOI: ${pub.doi}`, url: `https://doi.org/${pub.doi}` });
+        if (pub.url) links.push({ text: labels.read, url: pub.url });
+        const authors = Array.isArray(pub.authors) ? pub.authors.join(', ') : pub.authors;
+        return {
+          title: pub.title,
+          subtitle: [authors, pub.venue].filter(Boolean).join(' — '),
+          period: pub.date,
+          description: pub.description,
+          links,
+        };
+      }),
+    }),
+  },
+  awards: {
+    layout: 'timeline',
+    build: ({ awards }) => ({
+      items: list(awards).map(award => ({
+        title: award.title,
+        subtitle: award.issuer,
+        period: award.date,
+        description: award.description,
+      })),
+    }),
+  },
+  talks: {
+    layout: 'cards',
+    build: ({ talks }, labels) => ({
+      items: list(talks).map(talk => {
+        const links = [];
+        if (talk.url) links.push({ text: labels.watch, url: talk.url });
+        if (talk.slides) links.push({ text: labels.slides, url: talk.slides });
+        return {
+          title: talk.title,
+          subtitle: [talk.event, talk.location].filter(Boolean).join(' · '),
+          period: talk.date,
+          description: talk.description,
+          links,
+        };
+      }),
+    }),
+  },
+};
+
+// Custom section items may be plain strings, shown as a title only
+function buildCustomSection(custom) {
+  return {
+    id: custom.id,
+    title: custom.title,
+    layout: custom.layout || 'list',
+    items: list(custom.items).map(item => (typeof item === 'string' ? { title: item } : item)),
+  };
+}
+
+// Section ids to render, in order: layout.sections or the default order
+function resolveSections(resume) {
+  const customIds = list(resume.custom_sections).map(custom => custom.id);
+  const requested = resume.layout?.sections || [...DEFAULT_SECTIONS, ...customIds];
+  return requested.filter((id, index) => (
+    (SECTION_BUILDERS[id] || customIds.includes(id)) && requested.indexOf(id) === index
+  ));
+}
+
+function buildSection(resume, id, labels, dates) {
+  const builder = SECTION_BUILDERS[id];
+  if (builder) return { id, title: labels[id], layout: builder.layout, ...builder.build(resume, labels, dates) };
+  return buildCustomSection(list(resume.custom_sections).find(custom => custom.id === id));
+}
+
+function hasContent(section) {
+  if (section.layout === 'text') return Boolean(section.text);
+  return (section.groups || section.items).length > 0;
+}
+
+// `now` is the month ongoing entries end in
+function buildResumeModel(resume, { now = new Date() } = {}) {
+  const { personal } = resume;
+  const nameParts = personal.name.split(' ');
+  const locale = resume.locale || DEFAULT_LOCALE;
+  const labels = getLabels(locale, resume.labels);
+  const dates = dateFormatter(resume, locale, labels, now);
+
+  return {
+    locale,
+    dir: textDirection(locale),
+    labels,
+    name: personal.name,
+    firstName: nameParts[0] || '',
+    lastName: nameParts.slice(1).join(' ') || '',
+    title: personal.title,
+    photo: imageRef(personal.photo, labels.profile_photo),
+    links: normalizeLinks(personal.links),
+    sections: resolveSections(resume).map(id => buildSection(resume, id, labels, dates)).filter(hasContent),
+  };
+}
+
+module.exports = {
+  DEFAULT_SECTIONS, SIDEBAR_SECTIONS, CUSTOM_LAYOUTS, EMPLOYMENT_TYPES, SECTION_BUILDERS, resolveSections,
+  buildResumeModel,
+};
@@ -0,0 +1,292 @@
+/**
+ * PDF export
+ * Renders the resume model (see model.js) into a print-ready resume.pdf
+ * with pdfkit, which runs in plain Node: no browser, no network.
+ *
+ * Content is laid out in "blocks" whose height is measured before they are
+ * drawn, so entries and section headings are moved to the next page
+ * instead of being split across pages.
+ */
+
+const PDFDocument = require('pdfkit');
+const { SIDEBAR_SECTIONS } = require('./model');
+const { plainText } = require('./markdown');
+
+const PAGE_SIZES = { A4: 'A4', Letter: 'LETTER' };
+
+const MARGIN = 48;
+const COLUMN_GAP = 24;
+const ITEM_GAP = 8;
+const SECTION_GAP = 14;
+const TEXT_COLOR = '#1f1f1f';
+const MUTED_COLOR = '#5f5f5f';
+
+// https://example.com/path -> example.com/path, mailto:a@b.c -> a@b.c
+function displayUrl(href) {
+  return href.replace(/^(mailto:|tel:|https?:\/\/(www\.)?)/i, '').replace(/\/$/, '');
+}
+
+// "Label: example.com/page", or just the address when the label already shows it
+function linkText(link) {
+  const address = displayUrl(link.url);
+  const lastWord = link.text.trim().split(/\s+/).pop();
+  return address.includes(lastWord) ? address : `${link.text}: ${address}`;
+}
+
+// A block of text that can be measured and then drawn at a position
+function textBlock(doc, text, { font, size, color = TEXT_COLOR, width, indent = 0, link, gap = 2 }) {
+  doc.font(font).fontSize(size);
+  const height = doc.heightOfString(text, { width: width - indent }) + gap;
+  return {
+    height,
+    draw(x, y) {
+      doc.font(font).fontSize(size).fillColor(color)
+        .text(text, x + indent, y, { width: width - indent, link });
+    },
+  };
+}
+
+// Title on the left, period right-aligned on the same line
+function titleRowBlock(doc, fonts, accent, title, period, width) {
+  doc.font(fonts.regular).fontSize(9);
+  const periodWidth = period ? doc.widthOfString(period) + 8 : 0;
+  const titleBlock = textBlock(doc, title, { font: fonts.bold, size: 10.5, width: width - periodWidth });
+  return {
+    height: titleBlock.height,
+    draw(x, y) {
+      titleBlock.draw(x, y);
+      if (period) {
+        doc.font(fonts.regular).fontSize(9).fillColor(accent)
+          .text(period, x + width - periodWidth, y + 1.5, { width: periodWidth, align: 'right' });
+      }
+    },
+  };
+}
+
+function bulletBlock(doc, fonts, accent, text, width) {
+  const body = textBlock(doc, text, { font: fonts.regular, size: 9.5, width, indent: 10 });
+  return {
+    height: body.height,
+    draw(x, y) {
+      doc.font(fonts.regular).fontSize(9.5).fillColor(accent).text('•', x + 1, y, { lineBreak: false });
+      body.draw(x, y);
+    },
+  };
+}
+
+// "Jan 2023 - Present · 2 yrs 3 mos"
+const periodText = item => [item.period, item.duration].filter(Boolean).join(' · ');
+
+const smallBlock = (doc, fonts, text, width) => textBlock(doc, text, {
+  font: fonts.regular, size: 8.5, color: MUTED_COLOR, width,
+});
+
+// Employment type and location above the points, technologies below them
+function positionBlocks(doc, fonts, accent, position, width, body) {
+  const blocks = [];
+  if (position.meta) blocks.push(smallBlock(doc, fonts, position.meta, width));
+  blocks.push(...body);
+  for (const point of position.points || []) {
+    blocks.push(bulletBlock(doc, fonts, accent, plainText(point), width));
+  }
+  if (position.tags?.length) blocks.push(smallBlock(doc, fonts, position.tags.map(tag => tag.name).join(' · '), width));
+  return blocks;
+}
+
+// Blocks for one entry of a timeline, cards or list section
+function itemBlocks(doc, fonts, accent, item, width, compact) {
+  const period = periodText(item);
+  if (compact && !item.subtitle && !item.description && !item.points?.length) {
+    const title = period ? `${item.title} (${period})` : item.title;
+    return [bulletBlock(doc, fonts, accent, title, width)];
+  }
+  const blocks = [titleRowBlock(doc, fonts, accent, item.title, period, width)];
+  if (item.subtitle) {
+    blocks.push(textBlock(doc, item.subtitle, { font: fonts.regular, size: 9.5, color: accent, width }));
+  }
+  const body = item.description
+    ? [textBlock(doc, plainText(item.description), { font: fonts.regular, size: 9.5, width, gap: 3 })]
+    : [];
+  blocks.push(...positionBlocks(doc, fonts, accent, item, width, body));
+  for (const link of item.links || []) {
+    blocks.push(textBlock(doc, linkText(link), {
+      font: fonts.regular, size: 8.5, color: accent, width, link: link.url,
+    }));
+  }
+  return blocks;
+}
+
+// An item as entries that are kept together: a company with roles is split
+// between its roles, keeping the company with the first one
+function itemEntries(doc, fonts, accent, item, width, compact) {
+  const blocks = itemBlocks(doc, fonts, accent, item, width, compact);
+  if (!item.roles) return [blocks];
+  const roles = item.roles.map(role => [
+    titleRowBlock(doc, fonts, accent, role.title, periodText(role), width),
+    ...positionBlocks(doc, fonts, accent, role, width, []),
+  ]);
+  const gap = { height: ITEM_GAP / 2, draw() {} };
+  return [[...blocks, gap, ...(roles[0] || [])], ...roles.slice(1)];
+}
+
+function headingBlock(doc, fonts, accent, title, width) {
+  const text = textBlock(doc, title.toUpperCase(), { font: fonts.bold, size: 11, color: accent, width, gap: 0 });
+  return {
+    height: text.height + 8,
+    draw(x, y) {
+      text.draw(x, y);
+      const lineY = y + text.height + 2;
+      doc.moveTo(x, lineY).lineTo(x + width, lineY).lineWidth(0.75).strokeColor(accent).stroke();
+    },
+  };
+}
+
+// Every entry of a section as a list of blocks that must stay together
+function sectionEntries(doc, fonts, accent, section, width) {
+  if (section.layout === 'text') {
+    // Markdown is printed as plain text, line breaks kept as on the page
+    return plainText(section.text, { breaks: true }).split('\n\n').map(paragraph => [
+      textBlock(doc, paragraph, { font: fonts.regular, size: 10, width, gap: 6 }),
+    ]);
+  }
+  if (section.groups) {
+    return section.groups.map(group => [
+      textBlock(doc, group.title, { font: fonts.bold, size: 9.5, width }),
+      textBlock(doc, group.items.map(skill => skill.name).join(', '), { font: fonts.regular, size: 9.5, width, gap: 6 }),
+    ]);
+  }
+  const compact = section.layout === 'list';
+  return section.items.flatMap(item => itemEntries(doc, fonts, accent, item, width, compact));
+}
+
+const heightOf = blocks => blocks.reduce((sum, block) => sum + block.height, 0);
+
+// A column tracks its own page and position, so two columns can flow over
+// the same pages independently
+function createColumn(x, width, y) {
+  return { x, width, page: 0, y };
+}
+
+function moveToPage(doc, column, page) {
+  while (doc.bufferedPageRange().count <= page) doc.addPage();
+  doc.switchToPage(page);
+  column.page = page;
+}
+
+// Start a new page in this column if `height` does not fit; content taller
+// than a whole page is split block by block instead
+function ensureSpace(doc, column, height) {
+  const bottom = doc.page.height - MARGIN;
+  if (column.y + height > bottom && column.y > MARGIN) {
+    moveToPage(doc, column, column.page + 1);
+    column.y = MARGIN;
+  }
+}
+
+function drawBlocks(doc, column, blocks) {
+  moveToPage(doc, column, column.page);
+  ensureSpace(doc, column, heightOf(blocks));
+  for (const block of blocks) {
+    ensureSpace(doc, column, block.height);
+    block.draw(column.x, column.y);
+    column.y += block.height;
+  }
+}
+
+function drawSection(doc, fonts, accent, column, section) {
+  const entries = sectionEntries(doc, fonts, accent, section, column.width);
+  const title = section.duration ? `${section.title} · ${section.duration}` : section.title;
+  const heading = headingBlock(doc, fonts, accent, title, column.width);
+  // Keep the heading together with the first entry
+  drawBlocks(doc, column, [heading, ...entries[0]]);
+  column.y += ITEM_GAP;
+  for (const entry of entries.slice(1)) {
+    drawBlocks(doc, column, entry);
+    column.y += ITEM_GAP;
+  }
+  column.y += SECTION_GAP - ITEM_GAP;
+}
+
+function drawHeader(doc, fonts, accent, model, width) {
+  let y = MARGIN;
+  doc.font(fonts.bold).fontSize(22).fillColor(TEXT_COLOR).text(model.name, MARGIN, y, { width });
+  y = doc.y + 2;
+  doc.font(fonts.regular).fontSize(12).fillColor(accent).text(model.title, MARGIN, y, { width });
+  y = doc.y + 6;
+
+  // Contact links flow left to right and wrap like words
+  doc.font(fonts.regular).fontSize(9).fillColor(MUTED_COLOR);
+  const separator = '   ·   ';
+  const lineHeight = doc.currentLineHeight(true);
+  let x = MARGIN;
+  model.links.forEach((link, index) => {
+    const text = displayUrl(link.href);
+    const textWidth = doc.widthOfString(text);
+    if (index > 0) {
+      if (x + doc.widthOfString(separator) + textWidth > MARGIN + width) {
+        x = MARGIN;
+        y += lineHeight;
+      } else {
+        doc.text(separator, x, y, { lineBreak: false });
+        x += doc.widthOfString(separator);
+      }
+    }
+    doc.text(text, x, y, { link: link.href, width: textWidth + 1, lineBreak: false });
+    x += textWidth;
+  });
+  if (model.links.length > 0) y += lineHeight;
+
+  return y + 14;
+}
+
+/**
+ * Render a resume model to a PDF buffer.
+ * Options: size ('A4' | 'Letter'), columns (1 | 2), accent color and
+ * optional font / boldFont paths to TTF/OTF files for non-Latin scripts.
+ */
+function renderPdf(model, { size = 'A4', columns = 1, accent = '#3E6259', font, boldFont } = {}) {
+  const doc = new PDFDocument({
+    size: PAGE_SIZES[size] || size,
+    margin: MARGIN,
+    bufferPages: true,
+    info: { Title: `${model.name} - Resume`, Author: model.name },
+  });
+
+  const fonts = { regular: 'Helvetica', bold: 'Helvetica-Bold' };
+  if (font) {
+    doc.registerFont('body', font);
+    doc.registerFont('body-bold', boldFont || font);
+    fonts.regular = 'body';
+    fonts.bold = 'body-bold';
+  }
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const contentWidth = doc.page.width - MARGIN * 2;
+  const top = drawHeader(doc, fonts, accent, model, contentWidth);
+
+  if (columns === 2) {
+    const sideWidth = Math.round((contentWidth - COLUMN_GAP) * 0.36);
+    const mainWidth = contentWidth - COLUMN_GAP - sideWidth;
+    const main = createColumn(MARGIN, mainWidth, top);
+    const side = createColumn(MARGIN + mainWidth + COLUMN_GAP, sideWidth, top);
+    for (const section of model.sections) {
+      drawSection(doc, fonts, accent, SIDEBAR_SECTIONS.includes(section.id) ? side : main, section);
+    }
+  } else {
+    const column = createColumn(MARGIN, contentWidth, top);
+    for (const section of model.sections) {
+      drawSection(doc, fonts, accent, column, section);
+    }
+  }
+
+  doc.end();
+  return done;
+}
+
+module.exports = { renderPdf, PAGE_SIZES };
@@ -0,0 +1,756 @@
+/**
+ * resume.yaml schema
+ * Describes every section the generator reads and turns zod issues into
+ * errors and warnings that point back at the YAML source.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { z } = require('zod');
+const { locate, formatPath } = require('./yaml');
+const { SECTION_BUILDERS, CUSTOM_LAYOUTS, EMPLOYMENT_TYPES } = require('./model');
+const { LINK_TYPES, lucideIconNames } = require('./links');
+const { PRESETS, MODES, resolveTheme, checkContrast } = require('./themes');
+const { PAGE_SIZES } = require('./pdf');
+const { LABELS, LOCALE_PATTERN, resolveLocales } = require('./i18n');
+const { BUILT_IN_TEMPLATES, isTemplatePath } = require('./templates');
+const { markdownIssues } = require('./markdown');
+const { imageRef } = require('./images');
+const { isPresent, parseDateValue, dateRange, formatRange } = require('./dates');
+const { MAX_LEVEL, SKILL_DISPLAYS, skillId, skillCategories, skillNames, skillReferences } = require('./skills');
+const { RESERVED_VARIANTS, variantNames, usedTags } = require('./variants');
+
+// Every object is strict so unknown keys surface; they are reported as warnings
+const section = shape => z.object(shape).strict();
+
+const text = z.string().min(1, 'must not be empty');
+const url = z.string().url('must be a valid URL');
+const color = z.string().regex(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i, 'must be a hex color like #3E6259');
+
+const linkSchema = section({ text, url });
+
+// Tags pick the content of variants (generator/variants.js)
+const tagsSchema = z.array(text);
+
+// A Markdown bullet, or { text, tags } to tag it
+const bulletSchema = z.union([text, section({ text, tags: tagsSchema })]);
+
+const legacyLinksSchema = section({
+  github: section({ username: text, url }).optional(),
+  linkedin: section({ username: text.optional(), url }).optional(),
+  email: section({ address: z.string().email('must be a valid email address') }).optional(),
+  telegram: section({ username: text, url }).optional(),
+});
+
+// Either `type` or `icon` is required; checked together with the icon names in checkLinks
+const linkItemSchema = section({
+  type: z.enum(Object.keys(LINK_TYPES), {
+    errorMap: () => ({ message: `must be one of: ${Object.keys(LINK_TYPES).join(', ')}` }),
+  }).optional(),
+  icon: text.optional(),
+  url: text,
+  label: text.optional(),
+});
+
+const linksSchema = z.union([legacyLinksSchema, z.array(linkItemSchema)]);
+
+// 2023, 2023-01 or 2023-01-15; `end` may also be "present"
+const DATE_MESSAGE = 'must be a date like 2023, 2023-01 or 2023-01-15';
+const dateSchema = z.unknown().refine(value => parseDateValue(value) !== null, DATE_MESSAGE);
+const endDateSchema = z.unknown().refine(
+  value => isPresent(value) || parseDateValue(value) !== null,
+  `${DATE_MESSAGE}, or present`,
+);
+
+// Entries with dates have start/end, a free-text period or both; checked in checkDates
+const datedShape = {
+  start: dateSchema.optional(),
+  end: endDateSchema.optional(),
+  period: text.optional(),
+};
+
+// "photo.png" or { src, alt }, with src relative to public/
+const imageSchema = z.union([text, section({ src: text, alt: text.optional() })]);
+
+const personalSchema = section({
+  name: text,
+  title: text,
+  photo: imageSchema.optional(),
+  links: linksSchema.optional(),
+});
+
+const employmentType = z.enum(EMPLOYMENT_TYPES, {
+  errorMap: () => ({ message: `must be one of: ${EMPLOYMENT_TYPES.join(', ')}` }),
+});
+
+const employmentShape = {
+  location: text.optional(),
+  employment_type: z.union([employmentType, z.array(employmentType)]).optional(),
+};
+
+const roleSchema = section({
+  title: text,
+  ...datedShape,
+  ...employmentShape,
+  responsibilities: z.array(bulletSchema).optional(),
+  tech: z.array(text).optional(),
+  tags: tagsSchema.optional(),
+});
+
+// A single position, or a company with `roles`; which keys each form
+// needs is checked in checkExperience
+const experienceSchema = section({
+  title: text.optional(),
+  company: text,
+  url: url.optional(),
+  logo: imageSchema.optional(),
+  ...employmentShape,
+  ...datedShape,
+  responsibilities: z.array(bulletSchema).optional(),
+  tech: z.array(text).optional(),
+  tags: tagsSchema.optional(),
+  roles: z.array(roleSchema).min(1, 'must list at least one role').optional(),
+});
+
+const projectSchema = section({
+  title: text,
+  ...datedShape,
+  description: z.string().optional(),
+  points: z.array(bulletSchema).optional(),
+  span: z.union([z.literal(1), z.literal(2)], { errorMap: () => ({ message: 'must be 1 or 2' }) }).optional(),
+  image: imageSchema.optional(),
+  gallery: z.array(imageSchema).optional(),
+  tech: z.array(text).optional(),
+  tags: tagsSchema.optional(),
+});
+
+const volunteeringSchema = section({
+  title: text,
+  organization: text.optional(),
+  ...datedShape,
+  description: text,
+  link: linkSchema.optional(),
+  tags: tagsSchema.optional(),
+});
+
+// A skill is a name or { name, level, years, tags }
+const skillSchema = z.union([text, section({
+  name: text,
+  level: z.number().int().min(1).max(MAX_LEVEL, `must be 1 to ${MAX_LEVEL}`).optional(),
+  years: z.number().positive('must be a positive number').optional(),
+  tags: tagsSchema.optional(),
+})]);
+
+// Categories in order: a list of skills, or one with a title and display
+const skillsSchema = z.record(z.string(), z.union([z.array(skillSchema), section({
+  title: text.optional(),
+  display: z.enum(SKILL_DISPLAYS, {
+    errorMap: () => ({ message: `must be one of: ${SKILL_DISPLAYS.join(', ')}` }),
+  }).optional(),
+  items: z.array(skillSchema),
+  tags: tagsSchema.optional(),
+})]));
+
+const educationSchema = section({
+  degree: text,
+  institution: text,
+  ...datedShape,
+  tags: tagsSchema.optional(),
+});
+
+const certificationSchema = section({
+  name: text,
+  issuer: text,
+  date: text.optional(),
+  credential_id: text.optional(),
+  url: url.optional(),
+  tags: tagsSchema.optional(),
+});
+
+const publicationSchema = section({
+  title: text,
+  authors: z.union([text, z.array(text)]).optional(),
+  venue: text.optional(),
+  date: text.optional(),
+  doi: text.optional(),
+  url: url.optional(),
+  description: z.string().optional(),
+  tags: tagsSchema.optional(),
+});
+
+const awardSchema = section({
+  title: text,
+  issuer: text.optional(),
+  date: text.optional(),
+  description: z.string().optional(),
+  tags: tagsSchema.optional(),
+});
+
+const talkSchema = section({
+  title: text,
+  event: text,
+  location: text.optional(),
+  date: text.optional(),
+  url: url.optional(),
+  slides: url.optional(),
+  description: z.string().optional(),
+  tags: tagsSchema.optional(),
+});
+
+const customItemSchema = z.union([text, section({
+  title: text,
+  subtitle: text.optional(),
+  period: text.optional(),
+  description: z.string().optional(),
+  points: z.array(bulletSchema).optional(),
+  links: z.array(linkSchema).optional(),
+  tags: tagsSchema.optional(),
+})]);
+
+const slug = z.string().regex(/^[a-z0-9][a-z0-9-]*$/, 'must be lowercase letters, digits and dashes');
+
+const customSectionSchema = section({
+  id: slug,
+  title: text,
+  layout: z.enum(CUSTOM_LAYOUTS, {
+    errorMap: () => ({ message: `must be one of: ${CUSTOM_LAYOUTS.join(', ')}` }),
+  }).optional(),
+  items: z.array(customItemSchema),
+});
+
+const COLOR_KEYS = [
+  'background', 'foreground', 'card', 'cardForeground', 'popover', 'popoverForeground',
+  'primary', 'primaryForeground', 'secondary', 'secondaryForeground', 'muted', 'mutedForeground',
+  'accent', 'accentForeground', 'destructive', 'destructiveForeground', 'border', 'input', 'ring',
+  'chart1', 'chart2', 'chart3', 'chart4', 'chart5',
+];
+
+const colorsSchema = section(Object.fromEntries(COLOR_KEYS.map(key => [key, color.optional()])));
+
+const presetName = z.enum(Object.keys(PRESETS), {
+  errorMap: () => ({ message: `must be one of: ${Object.keys(PRESETS).join(', ')}` }),
+});
+
+const themeSchema = z.union([presetName, section({
+  preset: presetName.optional(),
+  mode: z.enum(MODES, { errorMap: () => ({ message: `must be one of: ${MODES.join(', ')}` }) }).optional(),
+  toggle: z.boolean().optional(),
+  light: colorsSchema.optional(),
+  dark: colorsSchema.optional(),
+})]);
+
+const fontsSchema = section({
+  sans: text.optional(),
+  mono: text.optional(),
+});
+
+// Section ids are checked against built-in and custom ids in checkSectionIds
+const layoutSchema = section({
+  sections: z.array(text).optional(),
+  sort: z.boolean().optional(),
+});
+
+const pdfSchema = section({
+  size: z.enum(Object.keys(PAGE_SIZES), {
+    errorMap: () => ({ message: `must be one of: ${Object.keys(PAGE_SIZES).join(', ')}` }),
+  }).optional(),
+  columns: z.union([z.literal(1), z.literal(2)], { errorMap: () => ({ message: 'must be 1 or 2' }) }).optional(),
+  font: text.optional(),
+  bold_font: text.optional(),
+});
+
+const siteSchema = section({
+  url: url.optional(),
+  base_path: z.string().regex(/^(\/[^/\s]+)+$/, 'must start with "/" and not end with one, like "/cv"').optional(),
+  description: text.optional(),
+});
+
+const localeSchema = z.string().regex(LOCALE_PATTERN, 'must be a language code like "en", "de" or "pt-BR"');
+
+const labelsSchema = section(Object.fromEntries(Object.keys(LABELS.en).map(key => [key, text.optional()])));
+
+// Each variant is generated at /<name>/; sections are checked in checkSectionIds
+// and tags in checkVariants
+const variantSchema = section({
+  title: text.optional(),
+  summary: z.string().optional(),
+  include: tagsSchema.optional(),
+  exclude: tagsSchema.optional(),
+  sections: z.array(text).optional(),
+});
+
+// Translations are partial resumes; each is validated merged with resume.yaml
+const translationsSchema = z.record(localeSchema, z.record(z.unknown()));
+
+const resumeSchema = section({
+  locale: localeSchema.optional(),
+  labels: labelsSchema.optional(),
+  translations: translationsSchema.optional(),
+  variants: z.record(slug, variantSchema).optional(),
+  site: siteSchema.optional(),
+  template: text.optional(),
+  personal: personalSchema,
+  summary: z.string().optional(),
+  colors: colorsSchema.optional(),
+  theme: themeSchema.optional(),
+  fonts: fontsSchema.optional(),
+  layout: layoutSchema.optional(),
+  pdf: pdfSchema.optional(),
+  experience: z.array(experienceSchema).optional(),
+  projects: z.array(projectSchema).optional(),
+  volunteering: z.array(volunteeringSchema).optional(),
+  skills: skillsSchema.optional(),
+  education: z.array(educationSchema).optional(),
+  languages: z.array(text).optional(),
+  certifications: z.array(certificationSchema).optional(),
+  publications: z.array(publicationSchema).optional(),
+  awards: z.array(awardSchema).optional(),
+  talks: z.array(talkSchema).optional(),
+  custom_sections: z.array(customSectionSchema).optional(),
+});
+
+// Levenshtein distance, used to suggest the intended key for a typo
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+// Look up the object schema that lives at a path, for key suggestions
+function schemaAt(schema, pathParts) {
+  let current = schema;
+  for (const part of pathParts) {
+    while (current instanceof z.ZodOptional) current = current.unwrap();
+    if (current instanceof z.ZodArray && typeof part === 'number') current = current.element;
+    else if (current instanceof z.ZodObject) current = current.shape[part];
+    else return null;
+    if (!current) return null;
+  }
+  while (current instanceof z.ZodOptional) current = current.unwrap();
+  return current instanceof z.ZodObject ? current : null;
+}
+
+function suggestKey(schema, pathParts, key) {
+  const objectSchema = schemaAt(schema, pathParts);
+  if (!objectSchema) return null;
+  let best = null;
+  for (const candidate of Object.keys(objectSchema.shape)) {
+    const distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+    if (distance <= 2 && (!best || distance < best.distance)) best = { candidate, distance };
+  }
+  return best && best.candidate;
+}
+
+// layout.sections and the sections of variants may name built-in sections
+// and the ids of custom_sections
+function checkSectionIds(resume, report) {
+  const customSections = Array.isArray(resume?.custom_sections) ? resume.custom_sections : [];
+  const seen = new Set();
+  customSections.forEach((custom, index) => {
+    if (!custom || typeof custom.id !== 'string') return;
+    if (SECTION_BUILDERS[custom.id]) {
+      report(['custom_sections', index, 'id'], `"${custom.id}" is a built-in section, choose another id`);
+    } else if (seen.has(custom.id)) {
+      report(['custom_sections', index, 'id'], `duplicate custom section id "${custom.id}"`);
+    }
+    seen.add(custom.id);
+  });
+
+  const known = [...new Set([...Object.keys(SECTION_BUILDERS), ...seen])];
+  const check = (sections, pathParts) => {
+    if (!Array.isArray(sections)) return;
+    sections.forEach((id, index) => {
+      if (typeof id === 'string' && !known.includes(id)) {
+        report([...pathParts, index], `unknown section "${id}", expected one of: ${known.join(', ')}`);
+      }
+    });
+  };
+  check(resume?.layout?.sections, ['layout', 'sections']);
+  for (const name of variantNames(resume || {})) {
+    check(resume.variants[name]?.sections, ['variants', name, 'sections']);
+  }
+}
+
+// Variants become routes, and pick by tags that content must use
+function checkVariants(resume, report, warn) {
+  const names = variantNames(resume || {});
+  if (names.length === 0) return;
+  const tags = [...usedTags(resume)];
+  for (const name of names) {
+    if (RESERVED_VARIANTS.includes(name)) {
+      report(['variants', name], `"${name}" is used by the generated site, choose another name`);
+    }
+    for (const key of ['include', 'exclude']) {
+      const list = resume.variants[name]?.[key];
+      if (!Array.isArray(list)) continue;
+      list.forEach((tag, index) => {
+        if (typeof tag !== 'string' || tags.includes(tag)) return;
+        const match = tags.find(other => editDistance(other.toLowerCase(), tag.toLowerCase()) <= 2);
+        const hint = match ? ` (did you mean "${match}"?)` : '';
+        warn(['variants', name, key, index], `no content is tagged "${tag}"${hint}`);
+      });
+    }
+  }
+}
+
+// List-form links need a type or an icon, and icons must exist in lucide-react
+function checkLinks(resume, report) {
+  const links = resume?.personal?.links;
+  if (!Array.isArray(links)) return;
+  links.forEach((link, index) => {
+    if (!link || typeof link !== 'object') return;
+    if (!link.type && !link.icon) {
+      report(['personal', 'links', index], 'needs a "type" or an "icon"');
+    }
+    if (typeof link.icon === 'string' && !lucideIconNames().has(link.icon)) {
+      const match = [...lucideIconNames()].find(name => name.toLowerCase() === link.icon.toLowerCase());
+      const hint = match ? ` (did you mean "${match}"?)` : '';
+      report(['personal', 'links', index, 'icon'], `"${link.icon}" is not a lucide-react icon${hint}`);
+    }
+  });
+}
+
+// Fields that accept inline Markdown, as paths with `*` for every list entry
+const MARKDOWN_FIELDS = [
+  ['summary'],
+  ['experience', '*', 'responsibilities', '*'],
+  ['experience', '*', 'roles', '*', 'responsibilities', '*'],
+  ['projects', '*', 'description'],
+  ['projects', '*', 'points', '*'],
+  ['volunteering', '*', 'description'],
+  ['publications', '*', 'description'],
+  ['awards', '*', 'description'],
+  ['talks', '*', 'description'],
+  ['custom_sections', '*', 'items', '*', 'description'],
+  ['custom_sections', '*', 'items', '*', 'points', '*'],
+];
+
+// Every string at a MARKDOWN_FIELDS path, with its concrete path; a tagged
+// bullet is { text, tags }
+function markdownValues(value, pattern, pathParts = []) {
+  if (pattern.length === 0) {
+    if (typeof value === 'string') return [[pathParts, value]];
+    return typeof value?.text === 'string' ? [[[...pathParts, 'text'], value.text]] : [];
+  }
+  const [part, ...rest] = pattern;
+  if (part === '*') {
+    return Array.isArray(value)
+      ? value.flatMap((item, index) => markdownValues(item, rest, [...pathParts, index]))
+      : [];
+  }
+  return value && typeof value === 'object' ? markdownValues(value[part], rest, [...pathParts, part]) : [];
+}
+
+// Raw HTML and unsafe links are shown as text on the page
+function checkMarkdown(resume, report) {
+  for (const pattern of MARKDOWN_FIELDS) {
+    for (const [pathParts, text] of markdownValues(resume, pattern)) {
+      for (const message of markdownIssues(text)) report(pathParts, message);
+    }
+  }
+}
+
+// Local images must exist in public/, where they are served from
+function checkImages(resume, report, publicDir) {
+  const check = (value, pathParts) => {
+    const image = imageRef(value);
+    if (!image || /^https?:/i.test(image.src)) return;
+    const file = path.join(publicDir, image.src);
+    if (!fs.existsSync(file)) {
+      report(pathParts, `image "${path.relative(process.cwd(), file).split(path.sep).join('/')}" not found`);
+    }
+  };
+  check(resume?.personal?.photo, ['personal', 'photo']);
+  const experience = Array.isArray(resume?.experience) ? resume.experience : [];
+  experience.forEach((entry, index) => check(entry?.logo, ['experience', index, 'logo']));
+  const projects = Array.isArray(resume?.projects) ? resume.projects : [];
+  projects.forEach((project, index) => {
+    check(project?.image, ['projects', index, 'image']);
+    const gallery = Array.isArray(project?.gallery) ? project.gallery : [];
+    gallery.forEach((image, imageIndex) => check(image, ['projects', index, 'gallery', imageIndex]));
+  });
+}
+
+// Skills referenced by entries must be declared under skills, and each
+// skill declared once; charts need a level or years to draw
+function checkSkills(resume, warn) {
+  const names = skillNames(resume?.skills);
+  const declared = new Set(names.map(skillId));
+  for (const [pathParts, name] of skillReferences(resume)) {
+    if (declared.has(skillId(name))) continue;
+    const match = names.find(other => editDistance(skillId(other), skillId(name)) <= 2);
+    const hint = match ? ` (did you mean "${match}"?)` : '';
+    warn(pathParts, `"${name}" is not declared under skills, so it cannot be highlighted${hint}`);
+  }
+
+  const seen = new Set();
+  for (const category of skillCategories(resume?.skills)) {
+    category.items.forEach((item, index) => {
+      const itemPath = ['skills', category.key, ...(Array.isArray(resume.skills[category.key]) ? [] : ['items']), index];
+      if (seen.has(skillId(item.name))) warn(itemPath, `"${item.name}" is declared more than once`);
+      seen.add(skillId(item.name));
+    });
+    if (category.display === 'chart' && !category.items.some(item => item.level || item.years)) {
+      warn(['skills', category.key, 'display'], 'a chart needs a level or years on its skills');
+    }
+  }
+}
+
+// Sections whose entries have start/end dates
+const DATED_SECTIONS = ['experience', 'projects', 'volunteering', 'education'];
+
+// Keys of a company with roles that belong to its roles instead
+const ROLE_KEYS = ['title', 'start', 'end', 'responsibilities', 'tech'];
+
+// A position needs a title and responsibilities; a company with roles has
+// them per role
+function checkExperience(resume, report, warn) {
+  const experience = Array.isArray(resume?.experience) ? resume.experience : [];
+  experience.forEach((entry, index) => {
+    if (!entry || typeof entry !== 'object') return;
+    if (Array.isArray(entry.roles)) {
+      for (const key of ROLE_KEYS.filter(name => entry[name] !== undefined)) {
+        warn(['experience', index, key], `"${key}" is ignored when the entry has roles, set it on each role instead`);
+      }
+      return;
+    }
+    for (const key of ['title', 'responsibilities']) {
+      if (entry[key] === undefined) report(['experience', index], `missing required key "${key}" (or "roles")`);
+    }
+  });
+}
+
+// The entries with dates: every section in DATED_SECTIONS and the roles
+// of experience entries, as [pathParts, entry]
+function datedEntries(resume) {
+  const entries = [];
+  for (const id of DATED_SECTIONS) {
+    const list = Array.isArray(resume?.[id]) ? resume[id] : [];
+    list.forEach((entry, index) => {
+      if (!entry || typeof entry !== 'object') return;
+      if (id === 'experience' && Array.isArray(entry.roles)) {
+        entry.roles.forEach((role, roleIndex) => {
+          if (role && typeof role === 'object') entries.push([[id, index, 'roles', roleIndex], role]);
+        });
+      } else {
+        entries.push([[id, index], entry]);
+      }
+    });
+  }
+  return entries;
+}
+
+// Warn about entries whose ranges overlap by more than a month; a position
+// may end in the month the next one starts
+function checkOverlaps(entries, pathParts, warn) {
+  const ranges = entries.map(entry => {
+    const range = entry && typeof entry === 'object' ? dateRange(entry) : null;
+    return range && range.end >= range.start ? range : null;
+  });
+  ranges.forEach((range, index) => {
+    if (!range) return;
+    const other = ranges.findIndex((earlier, otherIndex) => otherIndex < index && earlier
+      && earlier.start < range.end && range.start < earlier.end);
+    if (other >= 0) {
+      const { title, company } = entries[other];
+      const name = [title, company].filter(Boolean).join(' at ');
+      warn([...pathParts, index], `overlaps with ${formatPath([...pathParts, other])} (${name})`);
+    }
+  });
+}
+
+// Every dated entry needs a start or a period, and its range must not run
+// backwards; overlapping positions are likely a typo in a date
+function checkDates(resume, report, warn) {
+  for (const [pathParts, entry] of datedEntries(resume)) {
+    if (entry.start === undefined && entry.end !== undefined) {
+      report([...pathParts, 'end'], 'has an end but no start date');
+    } else if (entry.start === undefined && entry.period === undefined) {
+      report(pathParts, 'needs a start date or a period');
+    }
+    const range = dateRange(entry);
+    if (range && range.end < range.start) {
+      const dates = entry.start !== undefined ? formatRange(entry, 'en', { present: 'present' }) : entry.period;
+      warn([...pathParts, entry.start !== undefined ? 'end' : 'period'], `ends before it starts (${dates})`);
+    }
+  }
+
+  const experience = Array.isArray(resume?.experience) ? resume.experience : [];
+  checkOverlaps(experience, ['experience'], warn);
+  experience.forEach((entry, index) => {
+    if (Array.isArray(entry?.roles)) checkOverlaps(entry.roles, ['experience', index, 'roles'], warn);
+  });
+}
+
+// template is a built-in name or a path to a custom template, relative to `baseDir`
+function checkTemplate(resume, report, baseDir) {
+  const name = resume?.template;
+  if (typeof name !== 'string' || !name || BUILT_IN_TEMPLATES[name]) return;
+  if (!isTemplatePath(name)) {
+    const expected = [...Object.keys(BUILT_IN_TEMPLATES), './path/to/template'].join(', ');
+    report(['template'], `unknown template "${name}", expected one of: ${expected}`);
+    return;
+  }
+  try {
+    require.resolve(path.resolve(baseDir, name));
+  } catch {
+    report(['template'], `template "${name}" not found`);
+  }
+}
+
+// A failed union reports every option; keep the issues of the option
+// whose shape matched the value, or the union itself when none did
+function flattenUnionIssues(issues) {
+  return issues.flatMap(issue => {
+    if (issue.code !== 'invalid_union') return [issue];
+    const candidates = issue.unionErrors
+      .map(error => error.issues)
+      .filter(list => !list.every(inner => inner.code === 'invalid_type' && inner.path.length === issue.path.length));
+    return candidates.length === 1 ? flattenUnionIssues(candidates[0]) : [issue];
+  });
+}
+
+function describeIssue(issue) {
+  // The whole document: an empty file, or a list or text instead of a mapping
+  if (issue.code === 'invalid_type' && issue.path.length === 0) {
+    return ['undefined', 'null'].includes(issue.received)
+      ? 'the file is empty, expected a mapping with "personal"'
+      : `expected a mapping with "personal", got ${issue.received}`;
+  }
+  if (issue.code === 'invalid_type' && issue.received === 'undefined') {
+    return `missing required key "${issue.path[issue.path.length - 1]}"`;
+  }
+  if (issue.code === 'invalid_type') {
+    return `expected ${issue.expected}, got ${issue.received}`;
+  }
+  if (issue.code === 'invalid_union') {
+    return 'does not match any accepted form';
+  }
+  return issue.message;
+}
+
+// Positions of a translated resume: those of its translation where it
+// overrides resume.yaml, the original ones elsewhere
+function translationPositions(positions, locale) {
+  const prefix = `translations.${locale}.`;
+  const result = new Map(positions);
+  for (const [key, location] of positions) {
+    if (key.startsWith(prefix)) result.set(key.slice(prefix.length), location);
+  }
+  return result;
+}
+
+// Validate every translation merged with resume.yaml, reporting only the
+// problems resume.yaml itself does not have
+function validateTranslations(resume, positions, issues, options) {
+  const known = new Set([...issues.errors, ...issues.warnings].map(issue => `${issue.path}|${issue.message}`));
+  for (const { locale, resume: translated } of resolveLocales(resume).slice(1)) {
+    const result = validateResume(translated, translationPositions(positions, locale), options);
+    for (const kind of ['errors', 'warnings']) {
+      for (const issue of result[kind]) {
+        if (known.has(`${issue.path}|${issue.message}`)) continue;
+        issues[kind].push({ ...issue, message: `[${locale}] ${issue.message}` });
+      }
+    }
+  }
+}
+
+/**
+ * Validate a parsed resume.
+ * Returns { errors, warnings }, each a list of { path, message, line, column, file },
+ * where file is only set for issues in another file than resume.yaml.
+ * `positions` is the map produced by loadYamlWithPositions; images are
+ * looked up in `publicDir` and a custom template in `baseDir`, the
+ * directory of resume.yaml.
+ */
+function validateResume(resume, positions = new Map(), { publicDir = 'public', baseDir = process.cwd() } = {}) {
+  const errors = [];
+  const warnings = [];
+  const result = resumeSchema.safeParse(resume);
+
+  const report = (list, pathParts, message) => {
+    const location = locate(positions, pathParts) || {};
+    list.push({ path: formatPath(pathParts), message, line: location.line, column: location.column, file: location.file });
+  };
+
+  if (!result.success) {
+    for (const issue of flattenUnionIssues(result.error.issues)) {
+      if (issue.code === 'unrecognized_keys') {
+        for (const key of issue.keys) {
+          const suggestion = suggestKey(resumeSchema, issue.path, key);
+          const hint = suggestion ? ` (did you mean "${suggestion}"?)` : '';
+          report(warnings, [...issue.path, key], `unknown key "${key}" will be ignored${hint}`);
+        }
+      } else {
+        report(errors, issue.path, describeIssue(issue));
+      }
+    }
+  }
+
+  checkSectionIds(resume, (pathParts, message) => report(errors, pathParts, message));
+  checkLinks(resume, (pathParts, message) => report(errors, pathParts, message));
+  checkTemplate(resume, (pathParts, message) => report(errors, pathParts, message), baseDir);
+  checkMarkdown(resume, (pathParts, message) => report(warnings, pathParts, message));
+  checkImages(resume, (pathParts, message) => report(errors, pathParts, message), publicDir);
+  checkSkills(resume, (pathParts, message) => report(warnings, pathParts, message));
+  checkVariants(
+    resume,
+    (pathParts, message) => report(errors, pathParts, message),
+    (pathParts, message) => report(warnings, pathParts, message),
+  );
+  checkExperience(
+    resume,
+    (pathParts, message) => report(errors, pathParts, message),
+    (pathParts, message) => report(warnings, pathParts, message),
+  );
+  checkDates(
+    resume,
+    (pathParts, message) => report(errors, pathParts, message),
+    (pathParts, message) => report(warnings, pathParts, message),
+  );
+
+  // Contrast needs valid colors, so it is only checked once everything else passes.
+  // Only palettes the resume changes are checked, at the key that changes them
+  if (errors.length === 0) {
+    const sources = {
+      light: resume.theme?.light ? ['theme', 'light'] : null,
+      dark: resume.theme?.dark ? ['theme', 'dark'] : resume.colors ? ['colors'] : null,
+    };
+    for (const warning of checkContrast(resolveTheme(resume))) {
+      if (sources[warning.mode]) report(warnings, sources[warning.mode], warning.message);
+    }
+  }
+
+  const issues = { errors, warnings };
+  if (errors.length === 0 && resume.translations) {
+    validateTranslations(resume, positions, issues, { publicDir, baseDir });
+  }
+
+  const byLocation = (a, b) => (a.file || '').localeCompare(b.file || '')
+    || (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0);
+  return { errors: errors.sort(byLocation), warnings: warnings.sort(byLocation) };
+}
+
+// Format issues as "file:line:col  path  message" lines
+function formatIssues(file, { errors, warnings }) {
+  const format = (severity, issue) => {
+    // Issues in a resume.<locale>.yaml name their own file
+    const source = issue.file || file;
+    const where = issue.line ? `${source}:${issue.line}:${issue.column}` : source;
+    return `  ${severity.padEnd(7)} ${where}  ${issue.path || '(root)'}  ${issue.message}`;
+  };
+  return [
+    ...errors.map(issue => format('error', issue)),
+    ...warnings.map(issue => format('warning', issue)),
+  ].join('\n');
+}
+
+module.exports = { resumeSchema, validateResume, formatIssues, COLOR_KEYS };
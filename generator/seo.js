@@ -0,0 +1,185 @@
+/**
+ * Search engine and social metadata
+ * Builds the Next.js `metadata` of layout.tsx (description, canonical URL,
+ * Open Graph, Twitter card), the schema.org Person JSON-LD block and the
+ * sitemap.xml / robots.txt of the static export.
+ *
+ * Absolute URLs need `site.url`; without it only what works with relative
+ * URLs is emitted.
+ */
+
+const { normalizeLinks } = require('./links');
+const { dateRange } = require('./dates');
+const { skillNames } = require('./skills');
+const { plainText } = require('./markdown');
+const { imageRef } = require('./images');
+const { list, raw } = require('./utils');
+
+const DESCRIPTION_LENGTH = 160;
+
+/**
+ * The public URL of the site without a trailing slash (null when unknown)
+ * and the basePath it is served under: site.base_path, or else the path of
+ * site.url, as for a GitHub Pages project site (https://user.github.io/cv).
+ */
+function siteSettings(resume) {
+  const site = resume.site || {};
+  const url = site.url ? site.url.replace(/\/+$/, '') : null;
+  const basePath = site.base_path ?? (url ? new URL(url).pathname.replace(/\/+$/, '') : '');
+  return { url, basePath };
+}
+
+// Absolute URL of a page ('' is the home page, 'de' a locale)
+function pageUrl(site, route = '') {
+  return `${site.url}/${route ? `${route}/` : ''}`;
+}
+
+// Absolute URL of the profile photo
+function photoUrl(site, photo) {
+  const { src } = imageRef(photo);
+  return /^https?:/i.test(src) ? src : `${site.url}/${src}`;
+}
+
+// site.description, or the start of the summary cut at a word boundary
+function describe(resume) {
+  if (resume.site?.description) return resume.site.description;
+  const text = plainText(resume.summary).replace(/\s+/g, ' ').trim();
+  if (!text) return `${resume.personal.name} - ${resume.personal.title}`;
+  if (text.length <= DESCRIPTION_LENGTH) return text;
+  const cut = text.slice(0, DESCRIPTION_LENGTH - 1);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length).replace(/[,;:.]$/, '')}…`;
+}
+
+// "@handle" from an x.com / twitter.com profile link
+function twitterHandle(resume) {
+  const link = normalizeLinks(resume.personal.links).find(({ href }) => /^https?:\/\/(www\.)?(x|twitter)\.com\//i.test(href));
+  const handle = link && link.href.replace(/\/+$/, '').split('/').pop();
+  return handle ? `@${handle.replace(/^@/, '')}` : undefined;
+}
+
+// The route of a page in one locale: '', 'de', 'backend' or 'de/backend'
+function localeRoute(locale, variant) {
+  return [locale, variant].filter(Boolean).join('/');
+}
+
+/**
+ * The metadata object of a layout.tsx. `route` is the page it belongs to
+ * ('' or a locale, followed by a variant), `locales` every locale of a
+ * multilingual resume and `variant` the variant the page shows, whose
+ * translations are its alternates.
+ */
+function buildMetadata(resume, { route = '', locales = [], variant = null } = {}) {
+  const site = siteSettings(resume);
+  const { personal } = resume;
+  const description = describe(resume);
+  const title = `${personal.name} - ${personal.title}`;
+  const absolute = Boolean(site.url);
+  const image = absolute && personal.photo ? photoUrl(site, personal.photo) : undefined;
+  const [firstName, ...lastName] = personal.name.split(' ');
+
+  const href = page => (absolute ? pageUrl(site, page) : `/${page ? `${page}/` : ''}`);
+  // Only the main page has a page at / that picks the locale
+  const languages = locales.length > 1
+    ? Object.fromEntries([
+      ...locales.map(locale => [locale, href(localeRoute(locale, variant))]),
+      ['x-default', href(variant ? localeRoute(locales[0], variant) : '')],
+    ])
+    : undefined;
+
+  return {
+    metadataBase: absolute ? raw(`new URL(${JSON.stringify(pageUrl(site))})`) : undefined,
+    title: personal.name,
+    description,
+    alternates: absolute || languages ? {
+      canonical: absolute ? pageUrl(site, route) : undefined,
+      languages,
+    } : undefined,
+    openGraph: {
+      type: 'profile',
+      title,
+      description,
+      url: absolute ? pageUrl(site, route) : undefined,
+      siteName: personal.name,
+      locale: resume.locale ? resume.locale.replace('-', '_') : undefined,
+      firstName,
+      lastName: lastName.join(' ') || undefined,
+      images: image ? [{ url: image, alt: personal.name }] : undefined,
+    },
+    twitter: {
+      card: image ? 'summary_large_image' : 'summary',
+      title,
+      description,
+      creator: twitterHandle(resume),
+      images: image ? [image] : undefined,
+    },
+  };
+}
+
+/**
+ * schema.org Person for search engines, from personal, experience,
+ * education, skills and links. Current positions (`end: present` or a
+ * period ending in "Present") become worksFor.
+ */
+function buildPersonSchema(resume, { route = '' } = {}) {
+  const site = siteSettings(resume);
+  const { personal } = resume;
+  const links = normalizeLinks(personal.links);
+  const email = links.find(link => link.href.startsWith('mailto:'));
+  const current = list(resume.experience).filter(exp => dateRange(exp)?.ongoing);
+  const skills = skillNames(resume.skills);
+
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Person',
+    name: personal.name,
+    jobTitle: personal.title,
+    description: describe(resume),
+    url: site.url ? pageUrl(site, route) : undefined,
+    image: site.url && personal.photo ? photoUrl(site, personal.photo) : undefined,
+    email: email ? email.href.replace(/^mailto:/, '') : undefined,
+    sameAs: links.filter(link => /^https?:/i.test(link.href)).map(link => link.href),
+    worksFor: current.length > 0
+      ? current.map(exp => ({ '@type': 'Organization', name: exp.company }))
+      : undefined,
+    alumniOf: list(resume.education).length > 0
+      ? resume.education.map(edu => ({ '@type': 'EducationalOrganization', name: edu.institution }))
+      : undefined,
+    knowsAbout: skills.length > 0 ? skills : undefined,
+    knowsLanguage: list(resume.languages).length > 0 ? resume.languages : undefined,
+  };
+}
+
+const escapeXml = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// sitemap.xml listing every page and the pages of every variant, with
+// hreflang alternates between locales; null without site.url since a
+// sitemap needs absolute URLs
+function generateSitemap(resume, locales = [], variants = []) {
+  const site = siteSettings(resume);
+  if (!site.url) return null;
+  const multilingual = locales.length > 1;
+  const urls = [null, ...variants].flatMap(variant => {
+    const routes = multilingual ? locales.map(locale => localeRoute(locale, variant)) : [localeRoute('', variant)];
+    const alternates = multilingual
+      ? routes.map((route, index) => `    <xhtml:link rel="alternate" hreflang="${locales[index]}" href="${escapeXml(pageUrl(site, route))}"/>`).join('\n')
+      : '';
+    return routes.map(route => `  <url>
+    <loc>${escapeXml(pageUrl(site, route))}</loc>${alternates ? `\n${alternates}` : ''}
+  </url>`);
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"${multilingual ? ' xmlns:xhtml="http://www.w3.org/1999/xhtml"' : ''}>
+${urls.join('\n')}
+</urlset>
+`;
+}
+
+function generateRobots(resume) {
+  const site = siteSettings(resume);
+  return `User-agent: *
+Allow: /
+${site.url ? `\nSitemap: ${site.url}/sitemap.xml\n` : ''}`;
+}
+
+module.exports = { siteSettings, describe, buildMetadata, buildPersonSchema, generateSitemap, generateRobots };
@@ -0,0 +1,93 @@
+/**
+ * Skills
+ * `skills` is an ordered map of categories. A category is a list of skills
+ * or { title, display, items }, and a skill is a name or
+ * { name, level, years }:
+ *
+ *   skills:
+ *     languages:
+ *       title: "Programming Languages"
+ *       display: levels
+ *       items:
+ *         - { name: Go, level: 5, years: 6 }
+ *         - Python
+ *     platforms: [AWS, Docker]
+ *
+ * Experience entries, their roles and projects reference skills by name in
+ * `tech`; names are matched case-insensitively, so the page can highlight
+ * the entries that used a skill.
+ */
+
+const { list } = require('./utils');
+
+// Categories titled by the label of the same name unless they have a title
+const LABELED_CATEGORIES = ['technologies', 'platforms', 'soft'];
+
+// Proficiency levels run from 1 to MAX_LEVEL
+const MAX_LEVEL = 5;
+
+// How a category is shown: tags, a name with its level, or a bar chart
+const SKILL_DISPLAYS = ['tags', 'levels', 'chart'];
+
+// The id a skill is matched by: "Node.js" and "node.js" are the same skill
+const skillId = name => String(name).trim().toLowerCase();
+
+// "cloud_devops" -> "Cloud devops", for categories without a title or label
+function humanize(key) {
+  const text = key.replace(/[_-]+/g, ' ').trim();
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * The categories of resume.yaml's skills in order, as
+ * [{ key, title, display, items: [{ name, level, years }] }]; title is
+ * undefined unless resume.yaml sets one.
+ */
+function skillCategories(skills) {
+  if (!skills || typeof skills !== 'object') return [];
+  return Object.entries(skills).map(([key, category]) => {
+    const { title, display, items } = Array.isArray(category) ? { items: category } : category || {};
+    return {
+      key,
+      title,
+      display,
+      items: list(items)
+        .map(item => (typeof item === 'string' ? { name: item } : item))
+        .filter(item => item && typeof item.name === 'string'),
+    };
+  });
+}
+
+// The title of a category: its own, the label of a built-in one or its key
+function categoryTitle(category, labels) {
+  if (category.title) return category.title;
+  return LABELED_CATEGORIES.includes(category.key) ? labels[category.key] : humanize(category.key);
+}
+
+// Every declared skill name, in order
+function skillNames(skills) {
+  return skillCategories(skills).flatMap(category => category.items.map(item => item.name));
+}
+
+/**
+ * Every skill reference of a resume: the `tech` of experience entries, their
+ * roles and projects, as [pathParts, name].
+ */
+function skillReferences(resume) {
+  const references = [];
+  const add = (entry, pathParts) => {
+    list(entry?.tech).forEach((name, index) => {
+      if (typeof name === 'string') references.push([[...pathParts, 'tech', index], name]);
+    });
+  };
+  list(resume?.experience).forEach((entry, index) => {
+    add(entry, ['experience', index]);
+    list(entry?.roles).forEach((role, roleIndex) => add(role, ['experience', index, 'roles', roleIndex]));
+  });
+  list(resume?.projects).forEach((entry, index) => add(entry, ['projects', index]));
+  return references;
+}
+
+module.exports = {
+  MAX_LEVEL, SKILL_DISPLAYS, skillId, skillCategories, categoryTitle, skillNames, skillReferences,
+};
@@ -0,0 +1,77 @@
+/**
+ * Templates
+ * A template decides which files make up the page of one locale. It is a
+ * module, or a directory with an index.js, that exports:
+ *
+ *   render(model, context) -> { 'page.tsx': '...', ...other files }
+ *
+ * File names are relative to the page's route directory (app/,
+ * app/<locale>/ for translations, app/[<locale>/]<variant>/ for variants).
+ * context is { resume, locales, theme, basePath }: the (translated)
+ * resume.yaml data as the page's variant shows it, every locale of a
+ * multilingual resume, the resolved theme (themes.js) and the basePath of
+ * the site. layout.tsx, globals.css and resume.ts (the
+ * resume data, see generateResumeData in generate.js) are generated by
+ * CV2Web for every template.
+ *
+ * The built-in templates are React components under components/resume/
+ * (copied from template/ by `npm run setup`); their page.tsx only passes resume.ts
+ * to the component, so no resume text ends up in generated code.
+ */
+
+const path = require('path');
+
+/**
+ * A template whose page renders the resume data with a React component:
+ * componentTemplate('@/components/my-resume', 'MyResume') for
+ * `export function MyResume({ resume }: { resume: ResumeData })`.
+ */
+function componentTemplate(importPath, componentName) {
+  const page = `import { ${componentName} } from "${importPath}"
+import { resume } from "./resume"
+
+export default function Home() {
+  return <${componentName} resume={resume} />
+}
+`;
+  return { render: () => ({ 'page.tsx': page }) };
+}
+
+const BUILT_IN_TEMPLATES = {
+  timeline: componentTemplate('@/components/resume/timeline', 'TimelineResume'),
+  minimal: componentTemplate('@/components/resume/minimal', 'MinimalResume'),
+  'two-column': componentTemplate('@/components/resume/two-column', 'TwoColumnResume'),
+};
+
+const DEFAULT_TEMPLATE = 'timeline';
+
+// Custom templates are referenced by path: ./my-template, ../templates/cv.js
+const isTemplatePath = name => /^(\.{1,2}\/|\/)/.test(name);
+
+/**
+ * The template named by resume.yaml's `template`: a built-in name or a path
+ * relative to `baseDir`. Throws when it cannot be loaded.
+ */
+function loadTemplate(name = DEFAULT_TEMPLATE, baseDir = process.cwd()) {
+  if (BUILT_IN_TEMPLATES[name]) return BUILT_IN_TEMPLATES[name];
+  if (!isTemplatePath(name)) {
+    throw new Error(`unknown template "${name}", expected one of: ${Object.keys(BUILT_IN_TEMPLATES).join(', ')} or a path like ./my-template`);
+  }
+
+  const file = path.resolve(baseDir, name);
+  let resolved;
+  try {
+    resolved = require.resolve(file);
+  } catch {
+    throw new Error(`template "${name}" not found at ${file}`);
+  }
+  // Load it fresh, so --watch picks up changes to the template
+  delete require.cache[resolved];
+  const template = require(resolved);
+  if (typeof template.render !== 'function') {
+    throw new Error(`template "${name}" must export a render(model, context) function`);
+  }
+  return template;
+}
+
+module.exports = { BUILT_IN_TEMPLATES, DEFAULT_TEMPLATE, componentTemplate, isTemplatePath, loadTemplate };
@@ -0,0 +1,195 @@
+/**
+ * Themes and palettes
+ * A theme is a preset with a light and a dark palette. Every palette can be
+ * derived from just a primary and a background color; presets and
+ * resume.yaml only override what they need. Also checks WCAG contrast.
+ */
+
+const PRESETS = {
+  // The original CV2Web look, kept exact for existing sites
+  forest: {
+    dark: {
+      primary: '#3E6259',
+      background: '#020202',
+      foreground: '#CECFC7',
+      card: '#1a1a1a',
+      cardForeground: '#CECFC7',
+      popover: '#1a1a1a',
+      popoverForeground: '#CECFC7',
+      primaryForeground: '#CECFC7',
+      secondary: '#2a2a2a',
+      secondaryForeground: '#CECFC7',
+      muted: '#2a2a2a',
+      mutedForeground: '#9a9a9a',
+      accent: '#3E6259',
+      accentForeground: '#CECFC7',
+      destructive: '#dc2626',
+      destructiveForeground: '#CECFC7',
+      border: '#3E6259',
+      input: '#2a2a2a',
+      ring: '#3E6259',
+      chart1: '#3E6259',
+      chart2: '#CECFC7',
+      chart3: '#5a7a72',
+      chart4: '#8a9a94',
+      chart5: '#a0b0aa',
+    },
+    light: { primary: '#2F5D50', background: '#F6F6F1' },
+  },
+  slate: {
+    dark: { primary: '#94A3B8', background: '#0F172A' },
+    light: { primary: '#475569', background: '#F8FAFC' },
+  },
+  ocean: {
+    dark: { primary: '#38BDF8', background: '#0B1120' },
+    light: { primary: '#0369A1', background: '#F0F9FF' },
+  },
+  'paper-light': {
+    dark: { primary: '#D4A373', background: '#1C1917' },
+    light: { primary: '#8B5E34', background: '#FBF8F1' },
+  },
+};
+
+const MODES = ['dark', 'light', 'system'];
+
+function parseHex(hex) {
+  let value = hex.replace('#', '');
+  if (value.length <= 4) value = value.split('').map(char => char + char).join('');
+  return [0, 2, 4].map(offset => parseInt(value.slice(offset, offset + 2), 16));
+}
+
+function toHex(rgb) {
+  return `#${rgb.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+}
+
+// Mix two colors; amount 0 returns `from`, 1 returns `to`
+function mix(from, to, amount) {
+  const a = parseHex(from);
+  const b = parseHex(to);
+  return toHex(a.map((channel, i) => channel + (b[i] - channel) * amount));
+}
+
+// WCAG 2.1 relative luminance
+function luminance(hex) {
+  const [r, g, b] = parseHex(hex).map(channel => {
+    const c = channel / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function contrastRatio(first, second) {
+  const [light, dark] = [luminance(first), luminance(second)].sort((a, b) => b - a);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+// The candidate that reads best on top of `background`
+function readableOn(background, candidates) {
+  return candidates.reduce((best, candidate) => (
+    contrastRatio(candidate, background) > contrastRatio(best, background) ? candidate : best
+  ));
+}
+
+// Fill in every palette key from primary and background
+function derivePalette({ primary, background }) {
+  const isDark = luminance(background) < 0.2;
+  const foreground = mix(background, isDark ? '#ffffff' : '#000000', isDark ? 0.82 : 0.88);
+  const card = mix(background, foreground, isDark ? 0.08 : 0.04);
+  const secondary = mix(background, foreground, isDark ? 0.15 : 0.08);
+  const primaryForeground = readableOn(primary, [foreground, background, '#ffffff', '#000000']);
+  const destructive = isDark ? '#dc2626' : '#b91c1c';
+
+  return {
+    background,
+    foreground,
+    card,
+    cardForeground: foreground,
+    popover: card,
+    popoverForeground: foreground,
+    primary,
+    primaryForeground,
+    secondary,
+    secondaryForeground: foreground,
+    muted: secondary,
+    mutedForeground: mix(background, foreground, isDark ? 0.68 : 0.72),
+    accent: primary,
+    accentForeground: primaryForeground,
+    destructive,
+    destructiveForeground: readableOn(destructive, [foreground, '#ffffff']),
+    border: primary,
+    input: secondary,
+    ring: primary,
+    chart1: primary,
+    chart2: foreground,
+    chart3: mix(primary, foreground, 0.25),
+    chart4: mix(primary, foreground, 0.5),
+    chart5: mix(primary, foreground, 0.75),
+  };
+}
+
+// Derive from the preset unless primary/background are overridden, in which
+// case the preset's hand-picked colors no longer fit and are re-derived
+function buildPalette(preset, overrides = {}) {
+  const custom = Boolean(overrides.primary || overrides.background);
+  const base = {
+    primary: overrides.primary || preset.primary,
+    background: overrides.background || preset.background,
+  };
+  return { ...derivePalette(base), ...(custom ? {} : preset), ...overrides };
+}
+
+/**
+ * Resolve the theme of a resume to { themed, mode, toggle, light, dark }.
+ * Without a `theme` key the site keeps the original single dark palette
+ * (built from `colors`) and no toggle: light and dark are the same.
+ * With one, the page follows prefers-color-scheme unless `mode` is fixed.
+ */
+function resolveTheme(resume) {
+  const config = typeof resume.theme === 'string' ? { preset: resume.theme } : resume.theme;
+
+  if (!config) {
+    const palette = buildPalette(PRESETS.forest.dark, resume.colors);
+    return { themed: false, mode: 'dark', toggle: false, light: palette, dark: palette };
+  }
+
+  const preset = PRESETS[config.preset || 'forest'];
+  return {
+    themed: true,
+    mode: config.mode || 'system',
+    toggle: config.toggle !== false,
+    light: buildPalette(preset.light, config.light),
+    dark: buildPalette(preset.dark, { ...resume.colors, ...config.dark }),
+  };
+}
+
+// Text/background pairs used by the page, with the WCAG AA ratio they need.
+// Headings and chips use the primary color as text, which is large or bold.
+const CONTRAST_PAIRS = [
+  { text: 'foreground', on: 'background', min: 4.5 },
+  { text: 'cardForeground', on: 'card', min: 4.5 },
+  { text: 'mutedForeground', on: 'background', min: 4.5 },
+  { text: 'mutedForeground', on: 'card', min: 4.5 },
+  { text: 'primaryForeground', on: 'primary', min: 4.5 },
+  { text: 'primary', on: 'background', min: 3 },
+  { text: 'primary', on: 'card', min: 3 },
+];
+
+// Warnings for every pair below its WCAG AA minimum
+function checkContrast(theme) {
+  const palettes = theme.themed ? { light: theme.light, dark: theme.dark } : { dark: theme.dark };
+  const warnings = [];
+  for (const [mode, palette] of Object.entries(palettes)) {
+    for (const pair of CONTRAST_PAIRS) {
+      const ratio = contrastRatio(palette[pair.text], palette[pair.on]);
+      if (ratio < pair.min) {
+        warnings.push({
+          mode,
+          message: `${mode} palette: ${pair.text} ${palette[pair.text]} on ${pair.on} ${palette[pair.on]} has a contrast of ${ratio.toFixed(2)}:1, WCAG AA needs ${pair.min}:1`,
+        });
+      }
+    }
+  }
+  return warnings;
+}
+
+module.exports = { PRESETS, MODES, derivePalette, resolveTheme, contrastRatio, checkContrast };
@@ -0,0 +1,44 @@
+/**
+ * Shared helpers: checks on resume.yaml data and the strings of the
+ * generated files
+ */
+
+// Plain objects only: dates (2023-01-15) and lists are values, not mappings
+const isObject = value => value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+// An optional list of resume.yaml, empty when it is missing or not a list
+const list = value => (Array.isArray(value) ? value : []);
+
+// Code inserted as is by toLiteral, e.g. raw('new URL("https://example.com")')
+class Raw {
+  constructor(code) {
+    this.code = code;
+  }
+}
+
+const raw = code => new Raw(code);
+
+/**
+ * Plain data as a TypeScript literal in the style of the generated files:
+ * one property per line, unquoted keys where possible, trailing commas.
+ * Strings are JSON-escaped, so any text is safe to insert.
+ */
+function toLiteral(value, indent = '') {
+  const inner = `${indent}  `;
+  if (value instanceof Raw) return value.code;
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    return `[\n${value.map(item => `${inner}${toLiteral(item, inner)},`).join('\n')}\n${indent}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+    if (entries.length === 0) return '{}';
+    return `{\n${entries.map(([key, item]) => {
+      const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+      return `${inner}${name}: ${toLiteral(item, inner)},`;
+    }).join('\n')}\n${indent}}`;
+  }
+  return JSON.stringify(value);
+}
+
+module.exports = { isObject, list, raw, toLiteral };
@@ -0,0 +1,89 @@
+/**
+ * Resume variants
+ * One resume.yaml, several tailored CVs. Entries, bullets, projects and
+ * skills may carry `tags`, and `variants` picks by them:
+ *
+ *   variants:
+ *     backend:
+ *       title: "Backend Engineer"
+ *       summary: "Backend engineer focused on distributed systems."
+ *       include: [backend, infra]
+ *       exclude: [frontend]
+ *       sections: [summary, experience, skills, education]
+ *
+ * Untagged content is in every variant. Tagged content is in a variant when
+ * it has one of its `include` tags (any tag without `include`) and none of
+ * its `exclude` tags. A bullet with tags is written { text, tags }.
+ * `sections` replaces layout.sections, and `title` and `summary` replace
+ * personal.title and the summary.
+ */
+
+const { isObject, list } = require('./utils');
+
+// Variant names become routes, so they must not shadow generated directories
+const RESERVED_VARIANTS = ['images'];
+
+// Whether content with `tags` belongs in a variant
+function keeps(tags, { include, exclude } = {}) {
+  if (!Array.isArray(tags) || tags.length === 0) return true;
+  if (list(exclude).some(tag => tags.includes(tag))) return false;
+  return !include || include.some(tag => tags.includes(tag));
+}
+
+// `value` without the content a variant leaves out and without `tags`;
+// tagged bullets become their text
+function select(value, variant) {
+  if (Array.isArray(value)) {
+    return value.filter(item => !isObject(item) || keeps(item.tags, variant)).map(item => select(item, variant));
+  }
+  if (!isObject(value)) return value;
+  const { tags, ...rest } = value;
+  if (Array.isArray(tags) && Object.keys(rest).length === 1 && typeof rest.text === 'string') return rest.text;
+  return Object.fromEntries(Object.entries(rest)
+    .filter(([, item]) => !isObject(item) || keeps(item.tags, variant))
+    .map(([key, item]) => [key, select(item, variant)]));
+}
+
+// The names of the variants of a resume, in order
+function variantNames(resume) {
+  return isObject(resume.variants) ? Object.keys(resume.variants) : [];
+}
+
+/**
+ * The resume as variant `name` shows it, without `variants` and `tags`;
+ * with no name, the main resume with everything tagged kept.
+ */
+function selectVariant(resume, name = null) {
+  const { variants, ...base } = resume;
+  const variant = name ? variants?.[name] : {};
+  if (!variant) throw new Error(`unknown variant "${name}"`);
+
+  const selected = select(base, variant);
+  // A company whose roles were all left out is left out too
+  if (Array.isArray(selected.experience)) {
+    selected.experience = selected.experience.filter(entry => !Array.isArray(entry?.roles) || entry.roles.length > 0);
+  }
+  if (!name) return selected;
+  return {
+    ...selected,
+    personal: variant.title ? { ...selected.personal, title: variant.title } : selected.personal,
+    summary: variant.summary ?? selected.summary,
+    layout: variant.sections ? { ...selected.layout, sections: variant.sections } : selected.layout,
+  };
+}
+
+// Every tag used in a resume (outside of `variants`), for validation
+function usedTags(resume) {
+  const tags = new Set();
+  const collect = value => {
+    if (Array.isArray(value)) value.forEach(collect);
+    if (!isObject(value)) return;
+    list(value.tags).forEach(tag => tags.add(tag));
+    Object.values(value).forEach(collect);
+  };
+  const { variants, ...base } = resume || {};
+  collect(base);
+  return tags;
+}
+
+module.exports = { RESERVED_VARIANTS, variantNames, selectVariant, usedTags };
@@ -0,0 +1,108 @@
+/**
+ * YAML loading with source positions
+ * Wraps js-yaml and records where every value of the document starts,
+ * so validation errors can point at a line and column.
+ */
+
+const yaml = require('js-yaml');
+
+// Turn a path array into a readable YAML path: experience[2].title
+function formatPath(pathParts) {
+  return pathParts.reduce((out, part) => {
+    if (typeof part === 'number') return `${out}[${part}]`;
+    return out ? `${out}.${part}` : String(part);
+  }, '');
+}
+
+// Offsets of the first character of every line
+function lineOffsets(source) {
+  const offsets = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') offsets.push(i + 1);
+  }
+  return offsets;
+}
+
+// Convert a character offset to a 1-based line/column pair
+function offsetToLocation(offsets, source, offset) {
+  // js-yaml reports some nodes before the whitespace that precedes them
+  while (offset < source.length && /[ \t\r\n]/.test(source[offset])) offset++;
+
+  let low = 0;
+  let high = offsets.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (offsets[mid] <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return { line: low + 1, column: offset - offsets[low] + 1 };
+}
+
+// Walk the node tree built by the listener and record a location for each path
+function collectPositions(node, pathParts, positions, toLocation) {
+  // Mapping values are already located by their key, which reads better in errors
+  const formatted = formatPath(pathParts);
+  if (!positions.has(formatted)) positions.set(formatted, toLocation(node.position));
+
+  const { children, result } = node;
+  if (node.kind === 'mapping' && result && children.length % 2 === 0) {
+    for (let i = 0; i < children.length; i += 2) {
+      const key = children[i].result;
+      // Keys shadowed by a merge (<<) or duplicates are not present in the result
+      if (!Object.prototype.hasOwnProperty.call(result, key)) continue;
+      positions.set(formatPath([...pathParts, key]), toLocation(children[i].position));
+      collectPositions(children[i + 1], [...pathParts, key], positions, toLocation);
+    }
+  } else if (node.kind === 'sequence' && Array.isArray(result) && children.length === result.length) {
+    // Empty items (a bare "-") produce no node, so only trust a complete list
+    children.forEach((child, index) => {
+      collectPositions(child, [...pathParts, index], positions, toLocation);
+    });
+  }
+}
+
+/**
+ * Parse a YAML document and return the data with a map of
+ * formatted path -> { line, column }. `schema` adds tags to the js-yaml
+ * default schema, such as !include (compose.js).
+ * Throws the js-yaml YAMLException on syntax errors.
+ */
+function loadYamlWithPositions(source, filename, { schema = yaml.DEFAULT_SCHEMA } = {}) {
+  const root = { children: [] };
+  const stack = [root];
+
+  const data = yaml.load(source, {
+    filename,
+    schema,
+    listener(eventType, state) {
+      if (eventType === 'open') {
+        stack.push({ position: state.position, children: [] });
+        return;
+      }
+      const node = stack.pop();
+      node.kind = state.kind;
+      node.result = state.result;
+      stack[stack.length - 1].children.push(node);
+    },
+  });
+
+  const positions = new Map();
+  const offsets = lineOffsets(source);
+  const toLocation = offset => offsetToLocation(offsets, source, offset);
+  if (root.children.length > 0) {
+    collectPositions(root.children[0], [], positions, toLocation);
+  }
+
+  return { data, positions };
+}
+
+// Find the closest recorded location for a path, walking up to its parents
+function locate(positions, pathParts) {
+  for (let length = pathParts.length; length >= 0; length--) {
+    const location = positions.get(formatPath(pathParts.slice(0, length)));
+    if (location) return location;
+  }
+  return null;
+}
+
+module.exports = { loadYamlWithPositions, locate, formatPath };
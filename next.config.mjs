@@ -1,7 +1,13 @@
+import { existsSync, readFileSync } from "fs"
+
+// Written by generate.js from the `site` settings of resume.yaml
+const site = existsSync("./site.config.json") ? JSON.parse(readFileSync("./site.config.json", "utf8")) : {}
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   output: "export",
   trailingSlash: true,
+  basePath: site.basePath || "",
   typescript: {
     ignoreBuildErrors: true,
   },
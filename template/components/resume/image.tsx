@@ -0,0 +1,56 @@
+import type { CSSProperties } from 'react'
+
+import type { ResponsiveImage } from './types'
+
+// A resume image with its AVIF and WebP variants. width and height reserve
+// its space and the blurred placeholder fills it until the image arrives.
+export function Picture({ image, sizes, className, priority = false }: {
+  image: ResponsiveImage
+  sizes: string
+  className?: string
+  // Load right away, for the image at the top of the page
+  priority?: boolean
+}) {
+  const style: CSSProperties | undefined = image.placeholder
+    ? { backgroundImage: `url(${image.placeholder})`, backgroundSize: 'cover', backgroundPosition: 'center' }
+    : undefined
+
+  return (
+    <picture className="contents">
+      {image.avif && <source type="image/avif" srcSet={image.avif} sizes={sizes} />}
+      {image.webp && <source type="image/webp" srcSet={image.webp} sizes={sizes} />}
+      <img
+        src={image.src}
+        alt={image.alt}
+        width={image.width}
+        height={image.height}
+        loading={priority ? 'eager' : 'lazy'}
+        fetchPriority={priority ? 'high' : undefined}
+        decoding="async"
+        className={className}
+        style={style}
+      />
+    </picture>
+  )
+}
+
+// The images of a project: the first one large, the rest of the gallery as
+// thumbnails that open the full image
+export function ItemImages({ images, sizes }: { images?: ResponsiveImage[]; sizes: string }) {
+  if (!images || images.length === 0) return null
+  const [cover, ...gallery] = images
+  return (
+    <div className="mb-4 space-y-2">
+      <Picture image={cover} sizes={sizes} className="w-full h-auto rounded-lg border border-border" />
+      {gallery.length > 0 && (
+        <div className="grid grid-cols-3 gap-2">
+          {gallery.map((image) => (
+            <a key={image.src} href={image.src} target="_blank" rel="noopener noreferrer">
+              <Picture image={image} sizes="(min-width: 768px) 16vw, 33vw" className="w-full aspect-4/3 object-cover rounded-md border border-border" />
+            </a>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,48 @@
+import { Picture } from './image'
+import { HeaderLinks, PageControls, SectionBody } from './parts'
+import { SkillFilter } from './skill-filter'
+import type { ResumeData } from './types'
+
+// The "minimal" template: a single narrow column of text with a small round
+// photo, plain headings and every section in the same typographic style.
+// Prints well, too.
+export function MinimalResume({ resume }: { resume: ResumeData }) {
+  return (
+    <SkillFilter labels={resume.labels}>
+      <main className="min-h-screen bg-background text-foreground">
+        <PageControls resume={resume} />
+        <div className="max-w-3xl mx-auto px-6 py-12 md:py-20">
+          <header className="mb-12 flex flex-col sm:flex-row sm:items-center gap-6">
+            {resume.photo && (
+              <Picture
+                image={resume.photo}
+                sizes="96px"
+                className="w-24 h-24 rounded-full object-cover border-2 border-primary"
+                priority
+              />
+            )}
+            <div>
+              <h1 className="text-3xl md:text-4xl font-bold">{resume.name}</h1>
+              <p className="text-lg text-primary mt-1">{resume.title}</p>
+              <div className="flex flex-wrap gap-x-4 gap-y-2 mt-3 text-sm text-muted-foreground">
+                <HeaderLinks links={resume.links} className="flex items-center gap-1.5 hover:text-primary transition-colors" />
+              </div>
+            </div>
+          </header>
+
+          <div className="space-y-12">
+            {resume.sections.map((section) => (
+              <section key={section.id}>
+                <h2 className="text-sm font-semibold uppercase tracking-widest text-primary mb-4">
+                  {section.title}
+                  {section.duration && <span className="ms-2 normal-case tracking-normal font-normal text-muted-foreground">· {section.duration}</span>}
+                </h2>
+                <SectionBody section={section} />
+              </section>
+            ))}
+          </div>
+        </div>
+      </main>
+    </SkillFilter>
+  )
+}
@@ -0,0 +1,198 @@
+import Link from 'next/link'
+import * as lucide from 'lucide-react'
+import type { LucideIcon } from 'lucide-react'
+
+import { ThemeToggle } from '@/components/theme-toggle'
+import { ItemImages, Picture } from './image'
+import { FormattedText } from './rich-text'
+import { SkillHighlight, SkillToggle } from './skill-filter'
+import { SkillItems } from './skills'
+import type { HeaderLink, ResponsiveImage, ResumeData, ResumeItem, ResumeRole, ResumeSection, SkillTag } from './types'
+
+// Building blocks shared by the resume templates; custom templates can use
+// them too
+
+// A lucide-react icon by name; resume.yaml icons are validated by generate.js
+export function LinkIcon({ name, className }: { name: string; className?: string }) {
+  const Icon = (lucide as unknown as Record<string, LucideIcon | undefined>)[name] ?? lucide.Link
+  return <Icon className={className} />
+}
+
+// Links to the other locales of the page, the current one marked
+export function LanguageSwitcher({ resume }: { resume: ResumeData }) {
+  return (
+    <nav aria-label={resume.labels.language} className="flex items-center gap-1 bg-card/80 border border-border rounded-lg p-1">
+      {resume.locales.map(({ locale, name, href }) => (locale === resume.locale ? (
+        <span key={locale} aria-current="page" lang={locale} className="px-3 py-1 rounded-md text-sm font-medium bg-primary text-primary-foreground">
+          {name}
+        </span>
+      ) : (
+        <Link key={locale} href={href} hrefLang={locale} lang={locale} className="px-3 py-1 rounded-md text-sm font-medium text-muted-foreground hover:text-primary transition-colors">
+          {name}
+        </Link>
+      )))}
+    </nav>
+  )
+}
+
+// The language switcher and theme toggle, fixed in the top corner of <main>
+export function PageControls({ resume }: { resume: ResumeData }) {
+  const languages = resume.locales.length > 1
+  if (!languages && !resume.themeToggle) return null
+  return (
+    <div className="fixed top-4 end-4 z-20 flex items-center gap-3">
+      {languages && <LanguageSwitcher resume={resume} />}
+      {resume.themeToggle && <ThemeToggle labels={resume.labels} />}
+    </div>
+  )
+}
+
+// Header links as icon + label anchors
+export function HeaderLinks({ links, className, iconClassName = 'w-4 h-4' }: {
+  links: HeaderLink[]
+  className: string
+  iconClassName?: string
+}) {
+  return links.map((link) => (
+    <a
+      key={link.href}
+      href={link.href}
+      target={link.rel ? '_blank' : undefined}
+      rel={link.rel ?? undefined}
+      className={className}
+    >
+      <LinkIcon name={link.icon} className={iconClassName} />
+      {link.label}
+    </a>
+  ))
+}
+
+// The period of an item with its computed duration: "Jan 2023 - Present · 2 yrs 3 mos"
+export function periodText(item: ResumeItem | ResumeRole) {
+  return [item.period, item.duration].filter(Boolean).join(' · ')
+}
+
+// A company name, linked to its website when resume.yaml has one
+export function CompanyName({ name, url }: { name: string; url?: string }) {
+  if (!url) return name
+  return <a href={url} target="_blank" rel="noopener noreferrer" className="hover:underline underline-offset-4">{name}</a>
+}
+
+// A company logo in a small square
+export function CompanyLogo({ logo, className = 'w-10 h-10' }: { logo?: ResponsiveImage; className?: string }) {
+  if (!logo) return null
+  return <Picture image={logo} sizes="64px" className={`${className} shrink-0 rounded-md object-contain bg-card border border-border`} />
+}
+
+// The declared skills an item, and the roles of a company, list as technologies
+export function skillIds(item: ResumeItem) {
+  const tags = [...(item.tags ?? []), ...(item.roles ?? []).flatMap((role) => role.tags)]
+  return tags.flatMap((tag) => (tag.id ? [tag.id] : []))
+}
+
+// Technologies used in a position or project; declared skills select the
+// entries that use them
+export function Tags({ tags, className = 'mt-2' }: { tags?: SkillTag[]; className?: string }) {
+  if (!tags || tags.length === 0) return null
+  const tagClassName = 'block px-2 py-0.5 rounded bg-primary/10 text-primary text-xs font-medium'
+  return (
+    <ul className={`flex flex-wrap gap-1.5 ${className}`}>
+      {tags.map((tag) => (
+        <li key={tag.name}>
+          {tag.id ? <SkillToggle id={tag.id} className={tagClassName}>{tag.name}</SkillToggle> : <span className={tagClassName}>{tag.name}</span>}
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+function PlainPoints({ points }: { points?: ResumeItem['points'] }) {
+  if (!points || points.length === 0) return null
+  return (
+    <ul className="mt-2 space-y-1 list-disc ps-5 marker:text-primary">
+      {points.map((point, index) => <li key={index}><FormattedText text={point} /></li>)}
+    </ul>
+  )
+}
+
+// The positions held at one company, as a nested timeline
+function PlainRoles({ roles }: { roles: ResumeRole[] }) {
+  return (
+    <ol className="mt-3 space-y-4 border-s-2 border-border ps-4">
+      {roles.map((role, index) => (
+        <li key={index}>
+          <div className="flex flex-wrap items-baseline justify-between gap-x-4">
+            <h4 className="font-medium">{role.title}</h4>
+            {role.period && <span className="text-sm text-muted-foreground">{periodText(role)}</span>}
+          </div>
+          {role.meta && <p className="text-xs text-muted-foreground">{role.meta}</p>}
+          <PlainPoints points={role.points} />
+          <Tags tags={role.tags} />
+        </li>
+      ))}
+    </ol>
+  )
+}
+
+function PlainItem({ item }: { item: ResumeItem }) {
+  return (
+    <SkillHighlight ids={skillIds(item)}>
+      <ItemImages images={item.images} sizes="(min-width: 768px) 640px, 100vw" />
+      <div className="flex items-start gap-3">
+        <CompanyLogo logo={item.logo} />
+        <div className="flex-1">
+          <div className="flex flex-wrap items-baseline justify-between gap-x-4">
+            <h3 className="font-semibold">{item.roles ? <CompanyName name={item.title} url={item.url} /> : item.title}</h3>
+            {item.period && <span className="text-sm text-muted-foreground">{periodText(item)}</span>}
+          </div>
+          {item.subtitle && <p className="text-sm text-primary"><CompanyName name={item.subtitle} url={item.url} /></p>}
+          {item.meta && <p className="text-xs text-muted-foreground">{item.meta}</p>}
+        </div>
+      </div>
+      {item.description && <p className="mt-2"><FormattedText text={item.description} /></p>}
+      <PlainPoints points={item.points} />
+      <Tags tags={item.tags} />
+      {item.roles && <PlainRoles roles={item.roles} />}
+      {item.links && item.links.length > 0 && (
+        <div className="mt-2 flex flex-wrap gap-4 text-sm">
+          {item.links.map((link) => (
+            <a key={link.url} href={link.url} target="_blank" rel="noopener noreferrer" className="text-primary underline-offset-4 hover:underline">
+              {link.text}
+            </a>
+          ))}
+        </div>
+      )}
+    </SkillHighlight>
+  )
+}
+
+// The body of any section in a plain, typographic style: a paragraph,
+// groups of tags or a list of items
+export function SectionBody({ section }: { section: ResumeSection }) {
+  if (section.paragraphs) {
+    return (
+      <div className="space-y-3">
+        {section.paragraphs.map((paragraph, index) => (
+          <p key={index} className="leading-relaxed"><FormattedText text={paragraph} /></p>
+        ))}
+      </div>
+    )
+  }
+  if (section.groups) {
+    return (
+      <div className="space-y-4">
+        {section.groups.map((group) => (
+          <div key={group.id}>
+            <h3 className="font-medium mb-2">{group.title}</h3>
+            <SkillItems group={group} />
+          </div>
+        ))}
+      </div>
+    )
+  }
+  return (
+    <div className="space-y-6">
+      {section.items?.map((item, index) => <PlainItem key={index} item={item} />)}
+    </div>
+  )
+}
@@ -0,0 +1,32 @@
+import type { Inline, RichText } from './types'
+
+// Renders the inline Markdown of resume.yaml (bold, emphasis, code, links and
+// line breaks) from its parsed nodes; text is never interpreted as HTML
+function InlineNode({ node }: { node: Inline }) {
+  if (typeof node === 'string') return node
+  switch (node.type) {
+    case 'strong':
+      return <strong className="font-semibold"><FormattedText text={node.children} /></strong>
+    case 'em':
+      return <em><FormattedText text={node.children} /></em>
+    case 'code':
+      return <code className="px-1 py-0.5 rounded bg-muted font-mono text-[0.9em]">{node.text}</code>
+    case 'link':
+      return (
+        <a
+          href={node.href}
+          target={node.external ? '_blank' : undefined}
+          rel={node.external ? 'noopener noreferrer' : undefined}
+          className="text-primary underline underline-offset-4 hover:no-underline"
+        >
+          <FormattedText text={node.children} />
+        </a>
+      )
+    case 'br':
+      return <br />
+  }
+}
+
+export function FormattedText({ text }: { text: RichText }) {
+  return text.map((node, index) => <InlineNode key={index} node={node} />)
+}
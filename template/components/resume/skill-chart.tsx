@@ -0,0 +1,51 @@
+'use client'
+
+import { Bar, BarChart, Cell, ResponsiveContainer, XAxis, YAxis } from 'recharts'
+
+import { useSkillFilter } from './skill-filter'
+import type { SkillGroup } from './types'
+
+// A skill category as a horizontal bar chart of levels, or of years when the
+// skills have no levels; the list next to it is what screen readers and
+// printers get
+export function SkillChart({ group }: { group: SkillGroup }) {
+  const filter = useSkillFilter()
+  const byLevel = group.items.some((skill) => skill.level)
+  const data = group.items.map((skill) => ({ ...skill, value: (byLevel ? skill.level : skill.years) ?? 0 }))
+
+  return (
+    <>
+      <div aria-hidden="true" className="print:hidden" style={{ height: data.length * 32 + 8 }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={data} layout="vertical" margin={{ top: 4, right: 8, bottom: 4, left: 8 }}>
+            <XAxis type="number" hide domain={byLevel ? [0, 5] : [0, 'dataMax']} />
+            <YAxis type="category" dataKey="name" width={110} tickLine={false} axisLine={false} tick={{ fill: 'var(--color-foreground)', fontSize: 13 }} />
+            <Bar
+              dataKey="value"
+              radius={4}
+              barSize={14}
+              isAnimationActive={false}
+              onClick={(entry: { id?: string; used?: boolean }) => {
+                if (filter && entry.used && entry.id) filter.toggle(entry.id)
+              }}
+            >
+              {data.map((skill) => (
+                <Cell
+                  key={skill.id}
+                  cursor={filter && skill.used ? 'pointer' : undefined}
+                  fill="var(--color-primary)"
+                  fillOpacity={filter?.active && filter.active !== skill.id ? 0.3 : 1}
+                />
+              ))}
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+      <ul className="sr-only print:not-sr-only print:space-y-1 print:text-sm">
+        {group.items.map((skill) => (
+          <li key={skill.id}>{[skill.name, skill.rating, skill.duration].filter(Boolean).join(' · ')}</li>
+        ))}
+      </ul>
+    </>
+  )
+}
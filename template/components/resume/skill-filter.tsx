@@ -0,0 +1,77 @@
+'use client'
+
+import * as React from 'react'
+import { X } from 'lucide-react'
+
+import { cn } from '@/lib/utils'
+
+// Selecting a skill (a skill chip or a technology tag) highlights the
+// entries that list it in their technologies and fades the rest; selecting
+// it again, or "Show all", clears the selection
+
+type SkillFilterState = {
+  active: string | null
+  toggle: (id: string) => void
+}
+
+// null outside of a SkillFilter: skills are then plain text
+const SkillFilterContext = React.createContext<SkillFilterState | null>(null)
+
+export function useSkillFilter() {
+  return React.useContext(SkillFilterContext)
+}
+
+export function SkillFilter({ labels, children }: { labels: Record<string, string>; children: React.ReactNode }) {
+  const [active, setActive] = React.useState<string | null>(null)
+  const [name, setName] = React.useState('')
+  const toggle = React.useCallback((id: string) => setActive((current) => (current === id ? null : id)), [])
+
+  // The name as the page shows it, from the first control of the skill
+  React.useEffect(() => {
+    const control = active ? document.querySelector(`[data-skill="${CSS.escape(active)}"]`) : null
+    setName(control?.textContent ?? active ?? '')
+  }, [active])
+
+  return (
+    <SkillFilterContext.Provider value={{ active, toggle }}>
+      {children}
+      {active && (
+        <div role="status" className="fixed bottom-4 inset-x-0 z-20 mx-auto w-fit flex items-center gap-3 rounded-lg border border-border bg-card/95 px-4 py-2 text-sm shadow-lg print:hidden">
+          <span>{labels.highlighting}: <strong className="text-primary">{name}</strong></span>
+          <button
+            type="button"
+            onClick={() => setActive(null)}
+            className="flex items-center gap-1 text-muted-foreground hover:text-primary transition-colors"
+          >
+            <X className="w-4 h-4" />
+            {labels.clear_filter}
+          </button>
+        </div>
+      )}
+    </SkillFilterContext.Provider>
+  )
+}
+
+// A control that selects a skill
+export function SkillToggle({ id, className, children }: { id: string; className?: string; children: React.ReactNode }) {
+  const filter = useSkillFilter()
+  if (!filter) return <span className={className}>{children}</span>
+  return (
+    <button
+      type="button"
+      data-skill={id}
+      aria-pressed={filter.active === id}
+      onClick={() => filter.toggle(id)}
+      className={cn('cursor-pointer transition-colors aria-pressed:ring-2 aria-pressed:ring-primary', className)}
+    >
+      {children}
+    </button>
+  )
+}
+
+// An entry that fades while a skill it does not list is selected
+export function SkillHighlight({ ids, className, children }: { ids: string[]; className?: string; children: React.ReactNode }) {
+  const active = useSkillFilter()?.active ?? null
+  const faded = active !== null && !ids.includes(active)
+  return <div className={cn('transition-opacity', faded && 'opacity-30', className)}>{children}</div>
+}
@@ -0,0 +1,61 @@
+'use client'
+
+import dynamic from 'next/dynamic'
+
+import { SkillToggle } from './skill-filter'
+import type { Skill, SkillGroup } from './types'
+
+// The charting library is only loaded by pages with a chart
+const SkillChart = dynamic(() => import('./skill-chart').then((mod) => mod.SkillChart))
+
+// Skill categories in their display: tags, names with level dots, or a bar
+// chart. Skills used by an entry select it when clicked.
+
+// generator/skills.js MAX_LEVEL
+const MAX_LEVEL = 5
+
+// A skill's name, a toggle when entries reference it
+function SkillName({ skill, className }: { skill: Skill; className?: string }) {
+  if (!skill.used) return <span className={className}>{skill.name}</span>
+  return <SkillToggle id={skill.id} className={className}>{skill.name}</SkillToggle>
+}
+
+function LevelDots({ skill }: { skill: Skill }) {
+  if (!skill.level) return null
+  return (
+    <span role="img" aria-label={skill.rating} className="flex gap-1 shrink-0">
+      {Array.from({ length: MAX_LEVEL }, (_, index) => (
+        <span key={index} className={`w-2 h-2 rounded-full ${index < (skill.level ?? 0) ? 'bg-primary' : 'bg-primary/20'}`} />
+      ))}
+    </span>
+  )
+}
+
+export function SkillItems({ group, tagClassName = 'px-2 py-0.5 rounded bg-primary/10 text-primary text-sm' }: {
+  group: SkillGroup
+  tagClassName?: string
+}) {
+  if (group.display === 'chart') return <SkillChart group={group} />
+  if (group.display === 'levels') {
+    return (
+      <ul className="space-y-2">
+        {group.items.map((skill) => (
+          <li key={skill.id} className="flex items-center justify-between gap-3">
+            <span className="flex flex-wrap items-baseline gap-x-2">
+              <SkillName skill={skill} className="rounded font-medium" />
+              {skill.duration && <span className="text-xs text-muted-foreground">{skill.duration}</span>}
+            </span>
+            <LevelDots skill={skill} />
+          </li>
+        ))}
+      </ul>
+    )
+  }
+  return (
+    <ul className="flex flex-wrap gap-2">
+      {group.items.map((skill) => (
+        <li key={skill.id}><SkillName skill={skill} className={`block ${tagClassName}`} /></li>
+      ))}
+    </ul>
+  )
+}
@@ -0,0 +1,424 @@
+import { Fragment, type ReactNode } from 'react'
+
+import { CompanyLogo, CompanyName, HeaderLinks, PageControls, Tags, periodText, skillIds } from './parts'
+import { ItemImages, Picture } from './image'
+import { FormattedText } from './rich-text'
+import { SkillFilter, SkillHighlight } from './skill-filter'
+import { SkillItems } from './skills'
+import type { ItemLink, ResumeData, ResumeItem, ResumeSection, RichText } from './types'
+
+// The "timeline" template (default): large photo next to the name, bespoke
+// markup for the built-in sections and experience as a vertical timeline
+
+// Tailwind only sees complete class names, so the skill grid widths are listed
+const SKILL_COLUMNS: Record<number, string> = {
+  1: 'md:grid-cols-1',
+  2: 'md:grid-cols-2',
+  3: 'md:grid-cols-3',
+}
+
+function Heading({ title, note, margin = 'mb-8' }: { title: string; note?: string; margin?: string }) {
+  return (
+    <h2 className={`text-3xl font-bold ${margin} text-primary border-b-2 border-primary pb-3 inline-block`}>
+      {title.toUpperCase()}
+      {note && <span className="ms-4 text-lg font-medium text-muted-foreground">{note}</span>}
+    </h2>
+  )
+}
+
+function Points({ points }: { points?: RichText[] }) {
+  if (!points || points.length === 0) return null
+  return (
+    <ul className="space-y-2 text-foreground list-none">
+      {points.map((point, index) => (
+        <li key={index} className="flex items-start gap-2">
+          <span className="text-primary mt-1.5 text-xs">▸</span>
+          <span><FormattedText text={point} /></span>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+function ItemLinks({ links }: { links?: ItemLink[] }) {
+  if (!links || links.length === 0) return null
+  return (
+    <div className="flex flex-wrap gap-4 mt-3">
+      {links.map((link) => (
+        <a key={link.url} href={link.url} target="_blank" rel="noopener noreferrer" className="text-primary font-bold">{link.text}</a>
+      ))}
+    </div>
+  )
+}
+
+function Summary({ section }: { section: ResumeSection }) {
+  return (
+    <section>
+      <Heading title={section.title} margin="mb-6" />
+      <div className="space-y-4">
+        {section.paragraphs?.map((paragraph, index) => (
+          <p key={index} className="text-foreground leading-relaxed text-lg">
+            <FormattedText text={paragraph} />
+          </p>
+        ))}
+      </div>
+    </section>
+  )
+}
+
+function Responsibilities({ points }: { points?: RichText[] }) {
+  if (!points || points.length === 0) return null
+  return (
+    <ul className="space-y-2.5 text-foreground list-none">
+      {points.map((resp, pointIndex) => (
+        <li key={pointIndex} className="flex items-start gap-3">
+          <span className="text-primary mt-2">▸</span>
+          <span><FormattedText text={resp} /></span>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+// A company with several roles: one block with the roles as a nested timeline
+function CompanyRoles({ exp }: { exp: ResumeItem }) {
+  return (
+    <>
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-2">
+        <div className="flex items-center gap-3">
+          <CompanyLogo logo={exp.logo} className="w-12 h-12" />
+          <h3 className="text-2xl font-semibold text-foreground">
+            <CompanyName name={exp.title} url={exp.url} />
+          </h3>
+        </div>
+        <span className="text-primary font-medium text-lg">{periodText(exp)}</span>
+      </div>
+      {exp.meta && <p className="text-muted-foreground mb-5">{exp.meta}</p>}
+      <div className="space-y-8 mt-5">
+        {exp.roles?.map((role, roleIndex) => (
+          <div key={roleIndex} className="relative ps-6 border-s-2 border-primary/40">
+            <div className="absolute -start-[7px] top-1.5 w-3 h-3 bg-background border-2 border-primary rounded-full"></div>
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-1">
+              <h4 className="text-xl font-semibold text-foreground">{role.title}</h4>
+              <span className="text-primary font-medium">{periodText(role)}</span>
+            </div>
+            {role.meta && <p className="text-muted-foreground mb-3">{role.meta}</p>}
+            <div className="mt-3">
+              <Responsibilities points={role.points} />
+            </div>
+            <Tags tags={role.tags} className="mt-4" />
+          </div>
+        ))}
+      </div>
+    </>
+  )
+}
+
+function Experience({ section }: { section: ResumeSection }) {
+  return (
+    <section>
+      <Heading title={section.title} note={section.duration} />
+      <div className="space-y-10">
+        {section.items?.map((exp, index) => (
+          <SkillHighlight key={index} ids={skillIds(exp)} className="relative ps-8 border-s-4 border-primary">
+            <div className="absolute -start-2 top-0 w-4 h-4 bg-primary rounded-full"></div>
+            {exp.roles ? <CompanyRoles exp={exp} /> : (
+              <>
+                <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-3">
+                  <h3 className="text-2xl font-semibold text-foreground">
+                    {exp.title}
+                  </h3>
+                  <span className="text-primary font-medium text-lg">{periodText(exp)}</span>
+                </div>
+                <div className="flex items-center gap-3 mb-5">
+                  <CompanyLogo logo={exp.logo} />
+                  <div>
+                    <p className="text-primary font-medium text-lg">
+                      {exp.subtitle && <CompanyName name={exp.subtitle} url={exp.url} />}
+                    </p>
+                    {exp.meta && <p className="text-muted-foreground">{exp.meta}</p>}
+                  </div>
+                </div>
+                <Responsibilities points={exp.points} />
+                <Tags tags={exp.tags} className="mt-4" />
+              </>
+            )}
+          </SkillHighlight>
+        ))}
+      </div>
+    </section>
+  )
+}
+
+function Projects({ section }: { section: ResumeSection }) {
+  return (
+    <section>
+      <Heading title={section.title} />
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {section.items?.map((proj, index) => (
+          <SkillHighlight key={index} ids={skillIds(proj)} className={`bg-card p-6 rounded-xl border-2 border-border hover:border-primary transition-colors shadow-lg ${proj.span === 2 ? 'md:col-span-2' : ''}`}>
+            <ItemImages images={proj.images} sizes={proj.span === 2 ? '(min-width: 1024px) 960px, 100vw' : '(min-width: 1024px) 480px, (min-width: 768px) 50vw, 100vw'} />
+            <div className="flex flex-col mb-4">
+              <h3 className="text-xl font-semibold text-foreground mb-2">
+                {proj.title}
+              </h3>
+              <span className="text-primary font-medium">{periodText(proj)}</span>
+            </div>
+            {proj.description && <p className="text-foreground mb-3 text-sm"><FormattedText text={proj.description} /></p>}
+            {proj.points && proj.points.length > 0 && (
+              <ul className="space-y-2 text-foreground list-none">
+                {proj.points.map((point, pointIndex) => (
+                  <li key={pointIndex} className="flex items-start gap-2">
+                    <span className="text-primary mt-1.5 text-xs">▸</span>
+                    <span className="text-sm"><FormattedText text={point} /></span>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <Tags tags={proj.tags} className="mt-4" />
+          </SkillHighlight>
+        ))}
+      </div>
+    </section>
+  )
+}
+
+function Volunteering({ section }: { section: ResumeSection }) {
+  return (
+    <section>
+      <Heading title={section.title} margin="mb-6" />
+      <div className="space-y-6">
+        {section.items?.map((vol, index) => (
+          <div key={index} className="bg-card p-6 rounded-xl border-2 border-border shadow-lg">
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-3">
+              <h3 className="text-xl font-semibold text-foreground">
+                {vol.title}
+              </h3>
+              <span className="text-primary font-medium">{periodText(vol)}</span>
+            </div>
+            {vol.subtitle && <p className="text-primary mb-3 font-medium text-lg">{vol.subtitle}</p>}
+            <p className="text-foreground">
+              {vol.description && <FormattedText text={vol.description} />}
+            </p>
+            {vol.links?.map((link) => (
+              <Fragment key={link.url}>
+                <br />
+                <a href={link.url} target="_blank" rel="noopener noreferrer" className="text-primary font-bold">{link.text}</a>
+              </Fragment>
+            ))}
+          </div>
+        ))}
+      </div>
+    </section>
+  )
+}
+
+function Skills({ section }: { section: ResumeSection }) {
+  const groups = section.groups ?? []
+  return (
+    <section>
+      <Heading title={section.title} />
+      <div className={`grid grid-cols-1 ${SKILL_COLUMNS[groups.length] ?? 'md:grid-cols-3'} gap-6`}>
+        {groups.map((group) => (
+          <div key={group.id} className="bg-card p-6 rounded-xl border-2 border-border shadow-lg">
+            <h3 className="font-semibold text-primary mb-4 text-lg">{group.title}</h3>
+            <SkillItems group={group} tagClassName="px-3 py-1.5 bg-primary/20 text-primary rounded-lg text-sm font-medium" />
+          </div>
+        ))}
+      </div>
+    </section>
+  )
+}
+
+function Education({ section }: { section: ResumeSection }) {
+  return (
+    <section>
+      <Heading title={section.title} />
+      <div className="space-y-6">
+        {section.items?.map((edu, index) => (
+          <div key={index} className="bg-card p-6 rounded-xl border-2 border-border shadow-lg">
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-2">
+              <h3 className="text-xl font-semibold text-foreground">
+                {edu.title}
+              </h3>
+              <span className="text-primary font-medium">{periodText(edu)}</span>
+            </div>
+            <p className="text-muted-foreground">{edu.subtitle}</p>
+          </div>
+        ))}
+      </div>
+    </section>
+  )
+}
+
+function Languages({ section }: { section: ResumeSection }) {
+  return (
+    <section>
+      <Heading title={section.title} margin="mb-6" />
+      <div className="bg-card p-6 rounded-xl border-2 border-border shadow-lg">
+        <ul className="space-y-3 text-foreground list-none">
+          {section.items?.map((lang, index) => (
+            <li key={index} className="flex items-center gap-3">
+              <span className="text-primary text-xl">▸</span>
+              <span className="text-lg">{lang.title}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </section>
+  )
+}
+
+// Generic layouts, for the sections without bespoke markup (certifications,
+// talks, custom sections, ...)
+
+function TimelineItem({ item }: { item: ResumeItem }) {
+  return (
+    <div className="relative ps-8 border-s-4 border-primary">
+      <div className="absolute -start-2 top-0 w-4 h-4 bg-primary rounded-full"></div>
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-3">
+        <h3 className="text-2xl font-semibold text-foreground">
+          {item.title}
+        </h3>
+        {item.period && <span className="text-primary font-medium text-lg">{periodText(item)}</span>}
+      </div>
+      {item.subtitle && <p className="text-primary mb-3 font-medium text-lg">{item.subtitle}</p>}
+      {item.description && <p className="text-foreground mb-3"><FormattedText text={item.description} /></p>}
+      <Points points={item.points} />
+      <ItemLinks links={item.links} />
+    </div>
+  )
+}
+
+function CardItem({ item }: { item: ResumeItem }) {
+  return (
+    <div className="bg-card p-6 rounded-xl border-2 border-border hover:border-primary transition-colors shadow-lg">
+      <div className="flex flex-col mb-3">
+        <h3 className="text-xl font-semibold text-foreground mb-2">
+          {item.title}
+        </h3>
+        {item.period && <span className="text-primary font-medium">{periodText(item)}</span>}
+      </div>
+      {item.subtitle && <p className="text-muted-foreground mb-3">{item.subtitle}</p>}
+      {item.description && <p className="text-foreground mb-3 text-sm"><FormattedText text={item.description} /></p>}
+      <Points points={item.points} />
+      <ItemLinks links={item.links} />
+    </div>
+  )
+}
+
+function ListItem({ item }: { item: ResumeItem }) {
+  return (
+    <li className="flex items-start gap-3">
+      <span className="text-primary text-xl">▸</span>
+      <div>
+        <span className="text-lg font-semibold">{item.title}</span>
+        {item.period && <span className="text-primary font-medium"> · {periodText(item)}</span>}
+        {item.subtitle && <p className="text-muted-foreground">{item.subtitle}</p>}
+        {item.description && <p><FormattedText text={item.description} /></p>}
+        <Points points={item.points} />
+        <ItemLinks links={item.links} />
+      </div>
+    </li>
+  )
+}
+
+function GenericSection({ section }: { section: ResumeSection }) {
+  const items = section.items ?? []
+  if (section.layout === 'cards') {
+    return (
+      <section>
+        <Heading title={section.title} />
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          {items.map((item, index) => <CardItem key={index} item={item} />)}
+        </div>
+      </section>
+    )
+  }
+  if (section.layout === 'list') {
+    return (
+      <section>
+        <Heading title={section.title} margin="mb-6" />
+        <div className="bg-card p-6 rounded-xl border-2 border-border shadow-lg">
+          <ul className="space-y-4 text-foreground list-none">
+            {items.map((item, index) => <ListItem key={index} item={item} />)}
+          </ul>
+        </div>
+      </section>
+    )
+  }
+  return (
+    <section>
+      <Heading title={section.title} />
+      <div className="space-y-10">
+        {items.map((item, index) => <TimelineItem key={index} item={item} />)}
+      </div>
+    </section>
+  )
+}
+
+// Built-in sections with their own markup, by section id
+const SECTIONS: Record<string, (props: { section: ResumeSection }) => ReactNode> = {
+  summary: Summary,
+  experience: Experience,
+  projects: Projects,
+  volunteering: Volunteering,
+  skills: Skills,
+  education: Education,
+  languages: Languages,
+}
+
+export function TimelineResume({ resume }: { resume: ResumeData }) {
+  return (
+    <SkillFilter labels={resume.labels}>
+      <main className="min-h-screen bg-background text-foreground relative overflow-hidden">
+        <div className="fixed inset-0 pointer-events-none opacity-10">
+          <div className="absolute top-0 left-0 w-96 h-96 bg-primary rounded-full blur-3xl"></div>
+          <div className="absolute bottom-0 right-0 w-96 h-96 bg-primary rounded-full blur-3xl"></div>
+        </div>
+        <PageControls resume={resume} />
+        <div className="relative z-10 max-w-7xl mx-auto px-6 py-8 md:py-12">
+          <header className="mb-16">
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 lg:gap-12 items-center">
+              <div className="order-2 lg:order-1 flex justify-center lg:justify-start">
+                {resume.photo && (
+                  <div className="relative w-full max-w-lg aspect-4/3 rounded-2xl overflow-hidden border-4 border-primary shadow-2xl">
+                    <Picture
+                      image={resume.photo}
+                      sizes="(min-width: 512px) 512px, 100vw"
+                      className="w-full h-full object-cover"
+                      priority
+                    />
+                  </div>
+                )}
+              </div>
+
+              <div className="order-1 lg:order-2">
+                <h1 className="text-4xl md:text-5xl lg:text-6xl font-bold mb-4 text-foreground leading-tight">
+                  {resume.firstName.toUpperCase()}<br />{resume.lastName.toUpperCase()}
+                </h1>
+                <p className="text-xl md:text-2xl lg:text-3xl text-primary mb-8 font-medium">
+                  {resume.title}
+                </p>
+                <div className="flex flex-wrap gap-4 text-sm md:text-base text-muted-foreground">
+                  <HeaderLinks
+                    links={resume.links}
+                    className="flex items-center gap-2 hover:text-primary transition-colors px-4 py-2 rounded-lg hover:bg-card"
+                    iconClassName="w-5 h-5"
+                  />
+                </div>
+              </div>
+            </div>
+          </header>
+
+          <div className="max-w-5xl mx-auto space-y-16 pb-12">
+            {resume.sections.map((section) => {
+              const Section = SECTIONS[section.id] ?? GenericSection
+              return <Section key={section.id} section={section} />
+            })}
+          </div>
+        </div>
+      </main>
+    </SkillFilter>
+  )
+}
@@ -0,0 +1,64 @@
+import { Picture } from './image'
+import { HeaderLinks, PageControls, SectionBody } from './parts'
+import { SkillFilter } from './skill-filter'
+import type { ResumeData, ResumeSection } from './types'
+
+// The "two-column" template: a sidebar with the photo, contact links and the
+// short sections (skills, education, languages, ...) next to a wide column
+// with the rest, like the two-column PDF. On small screens the sidebar comes
+// first.
+
+// Keep in sync with SIDEBAR_SECTIONS in generator/model.js
+const SIDEBAR_SECTIONS = ['skills', 'education', 'languages', 'certifications', 'awards']
+
+function Section({ section }: { section: ResumeSection }) {
+  return (
+    <section>
+      <h2 className="text-lg font-bold text-primary border-b border-border pb-2 mb-4">
+        {section.title}
+        {section.duration && <span className="ms-2 text-sm font-normal text-muted-foreground">· {section.duration}</span>}
+      </h2>
+      <SectionBody section={section} />
+    </section>
+  )
+}
+
+export function TwoColumnResume({ resume }: { resume: ResumeData }) {
+  const side = resume.sections.filter((section) => SIDEBAR_SECTIONS.includes(section.id))
+  const main = resume.sections.filter((section) => !SIDEBAR_SECTIONS.includes(section.id))
+
+  return (
+    <SkillFilter labels={resume.labels}>
+      <main className="min-h-screen bg-background text-foreground">
+        <PageControls resume={resume} />
+        <div className="max-w-6xl mx-auto px-6 py-10 md:py-16 grid grid-cols-1 md:grid-cols-[18rem_1fr] gap-10 md:gap-14">
+          <aside className="space-y-8 md:sticky md:top-10 self-start">
+            <div className="space-y-4">
+              {resume.photo && (
+                <Picture
+                  image={resume.photo}
+                  sizes="(min-width: 768px) 288px, 160px"
+                  className="w-40 md:w-full aspect-square rounded-2xl object-cover border-2 border-primary"
+                  priority
+                />
+              )}
+              <div>
+                <h1 className="text-3xl font-bold leading-tight">{resume.name}</h1>
+                <p className="text-lg text-primary mt-1">{resume.title}</p>
+              </div>
+              <div className="flex flex-col gap-2 text-sm text-muted-foreground">
+                <HeaderLinks links={resume.links} className="flex items-center gap-2 hover:text-primary transition-colors" />
+              </div>
+            </div>
+
+            {side.map((section) => <Section key={section.id} section={section} />)}
+          </aside>
+
+          <div className="space-y-12">
+            {main.map((section) => <Section key={section.id} section={section} />)}
+          </div>
+        </div>
+      </main>
+    </SkillFilter>
+  )
+}
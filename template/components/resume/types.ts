@@ -0,0 +1,131 @@
+// The resume data generate.js writes to app/resume.ts (app/<locale>/resume.ts
+// for translations), see generator/model.js
+
+// Inline Markdown from resume.yaml, parsed by generator/markdown.js
+export type Inline =
+  | string
+  | { type: 'strong' | 'em'; children: Inline[] }
+  | { type: 'code'; text: string }
+  | { type: 'link'; href: string; external: boolean; children: Inline[] }
+  | { type: 'br' }
+
+export type RichText = Inline[]
+
+export type HeaderLink = {
+  icon: string
+  label: string
+  href: string
+  rel: string | null
+}
+
+export type ItemLink = {
+  text: string
+  url: string
+}
+
+// An image from public/; width, height, the srcsets and the blurred
+// placeholder are set when generate.js could process it
+export type ResponsiveImage = {
+  src: string
+  alt: string
+  width?: number
+  height?: number
+  avif?: string
+  webp?: string
+  placeholder?: string
+}
+
+// One of several positions held at the same company
+export type ResumeRole = {
+  title: string
+  period?: string
+  duration?: string
+  // Employment type and location: "Full-time · Berlin"
+  meta?: string
+  points: RichText[]
+  tags: SkillTag[]
+}
+
+export type ResumeItem = {
+  title: string
+  subtitle?: string
+  period?: string
+  // Computed from start/end in resume.yaml: "2 yrs 3 mos"
+  duration?: string
+  description?: RichText
+  points?: RichText[]
+  links?: ItemLink[]
+  span?: number
+  images?: ResponsiveImage[]
+  // Experience: the company's website and logo (on the subtitle, or on the
+  // title when the item has roles), employment type and location,
+  // technologies and the positions held there; projects have technologies too
+  url?: string
+  logo?: ResponsiveImage
+  meta?: string
+  tags?: SkillTag[]
+  roles?: ResumeRole[]
+}
+
+// A technology of an entry; id is set when it is a declared skill, which
+// highlights the entry when the skill is selected
+export type SkillTag = {
+  name: string
+  id?: string
+}
+
+export type Skill = {
+  name: string
+  id: string
+  // 1 to 5, and as text: "Level 4/5"
+  level?: number
+  rating?: string
+  years?: number
+  // years as text: "6 yrs"
+  duration?: string
+  // Whether an entry references the skill in its technologies
+  used: boolean
+}
+
+// A skill category of resume.yaml
+export type SkillGroup = {
+  id: string
+  title: string
+  display: 'tags' | 'levels' | 'chart'
+  items: Skill[]
+}
+
+export type ResumeSection = {
+  id: string
+  title: string
+  layout: 'text' | 'timeline' | 'cards' | 'list' | 'tags'
+  // The summary, one entry per paragraph
+  paragraphs?: RichText[]
+  groups?: SkillGroup[]
+  items?: ResumeItem[]
+  // Experience: the total time of all positions
+  duration?: string
+}
+
+export type LocaleLink = {
+  locale: string
+  name: string
+  // The same page in that locale
+  href: string
+}
+
+export type ResumeData = {
+  locale: string
+  dir: 'ltr' | 'rtl'
+  labels: Record<string, string>
+  name: string
+  firstName: string
+  lastName: string
+  title: string
+  photo: ResponsiveImage | null
+  links: HeaderLink[]
+  sections: ResumeSection[]
+  // Every language of a translated resume, empty otherwise
+  locales: LocaleLink[]
+  themeToggle: boolean
+}
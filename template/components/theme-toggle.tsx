@@ -0,0 +1,33 @@
+'use client'
+
+import * as React from 'react'
+import { Moon, Sun } from 'lucide-react'
+import { useTheme } from 'next-themes'
+
+import { cn } from '@/lib/utils'
+
+// Switches between light and dark; starts from the visitor's system preference
+// when the theme mode is "system"
+export function ThemeToggle({ labels, className }: { labels: Record<string, string>; className?: string }) {
+  const { resolvedTheme, setTheme } = useTheme()
+  const [mounted, setMounted] = React.useState(false)
+
+  // The resolved theme is only known in the browser
+  React.useEffect(() => setMounted(true), [])
+
+  const isDark = mounted && resolvedTheme === 'dark'
+
+  return (
+    <button
+      type="button"
+      onClick={() => setTheme(isDark ? 'light' : 'dark')}
+      aria-label={isDark ? labels.light_mode : labels.dark_mode}
+      className={cn(
+        'flex items-center justify-center w-10 h-10 rounded-lg border-2 border-border bg-card text-primary hover:border-primary transition-colors',
+        className,
+      )}
+    >
+      {isDark ? <Sun className="w-5 h-5" /> : <Moon className="w-5 h-5" />}
+    </button>
+  )
+}
@@ -0,0 +1,165 @@
+/**
+ * Command-line tests
+ * generate.js is run in a temporary project directory, as `npm run setup`
+ * and `npm run generate` run it: init, the cleanup of files that are no
+ * longer generated, --dry-run and --diff, and the exit codes.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const ROOT = path.resolve(__dirname, '..');
+const GENERATE = path.join(ROOT, 'generate.js');
+
+const MINIMAL = `personal:
+  name: "Jane Doe"
+  title: "Software Engineer"
+`;
+
+const TRANSLATED = `${MINIMAL}
+translations:
+  de:
+    personal:
+      title: "Softwareentwicklerin"
+`;
+
+// Run generate.js in `cwd`, as { status, stdout, stderr }
+function run(cwd, ...args) {
+  return spawnSync(process.execPath, [GENERATE, ...args], { cwd, encoding: 'utf8', timeout: 60000 });
+}
+
+// An empty project directory, with `resume` as its resume.yaml; removed after the test
+function project(t, resume) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cv2web-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  if (resume) fs.writeFileSync(path.join(dir, 'resume.yaml'), resume);
+  return dir;
+}
+
+const read = (dir, file) => fs.readFileSync(path.join(dir, file), 'utf8');
+const exists = (dir, file) => fs.existsSync(path.join(dir, file));
+
+test('init copies the components and creates a resume.yaml that generates', t => {
+  const dir = project(t);
+  const result = run(dir, 'init', '-q');
+  assert.equal(result.status, 0, result.stderr);
+  assert.ok(exists(dir, 'components/resume/types.ts'));
+  assert.ok(exists(dir, 'components/theme-toggle.tsx'));
+  assert.ok(exists(dir, 'lib/utils.ts'));
+  assert.ok(exists(dir, 'public'));
+  assert.equal(read(dir, 'resume.yaml'), read(ROOT, 'resume.example.yaml'));
+
+  // The resume it creates generates as it is, without errors or warnings
+  const generated = run(dir, '-q');
+  assert.equal(generated.status, 0, generated.stderr);
+  assert.equal(generated.stderr, '');
+  assert.ok(exists(dir, 'app/page.tsx'));
+
+  // Run again, it keeps the resume and copies the components over
+  fs.writeFileSync(path.join(dir, 'resume.yaml'), MINIMAL);
+  fs.rmSync(path.join(dir, 'components', 'resume', 'types.ts'));
+  assert.equal(run(dir, 'init', '-q').status, 0);
+  assert.equal(read(dir, 'resume.yaml'), MINIMAL);
+  assert.ok(exists(dir, 'components/resume/types.ts'));
+});
+
+test('removes the files it generated before and no longer generates', t => {
+  const dir = project(t, TRANSLATED);
+  assert.equal(run(dir, '-q').status, 0);
+  assert.ok(exists(dir, 'app/de/page.tsx'));
+  assert.ok(!exists(dir, 'app/page.tsx'));
+
+  // Without the translation, the pages are back at app/ and the locale folders go
+  fs.writeFileSync(path.join(dir, 'resume.yaml'), MINIMAL);
+  const result = run(dir);
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stdout, /^✓ Removed app\/de\/page\.tsx$/m);
+  assert.ok(exists(dir, 'app/page.tsx'));
+  for (const folder of ['app/en', 'app/de', 'app/(home)']) {
+    assert.ok(!exists(dir, folder), `${folder} is removed`);
+  }
+  assert.ok(!JSON.parse(read(dir, 'app/.generated.json')).some(file => file.startsWith('app/de/')));
+});
+
+test('resolves a custom template against the directory of resume.yaml', t => {
+  const dir = project(t);
+  fs.mkdirSync(path.join(dir, 'cv'));
+  fs.writeFileSync(path.join(dir, 'cv', 'tpl.js'), 'module.exports = { render: () => ({ "page.tsx": "// tpl\\n" }) };\n');
+  fs.writeFileSync(path.join(dir, 'cv', 'resume.yaml'), `${TRANSLATED}template: ./tpl.js\n`);
+
+  const result = run(dir, '--config', 'cv/resume.yaml', '-q');
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(read(dir, 'app/en/page.tsx'), '// tpl\n');
+  assert.equal(read(dir, 'app/de/page.tsx'), '// tpl\n');
+});
+
+test('only reads resume.<language>.yaml files as translations', t => {
+  const dir = project(t, MINIMAL);
+  fs.writeFileSync(path.join(dir, 'resume.de.yaml'), 'personal:\n  title: "Softwareentwicklerin"\n');
+  for (const backup of ['old', 'bak']) fs.writeFileSync(path.join(dir, `resume.${backup}.yaml`), MINIMAL);
+
+  const result = run(dir, '-q');
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stderr, /^! Skipped resume\.old\.yaml: "old" is not a two-letter language code/m);
+  assert.match(result.stderr, /^! Skipped resume\.bak\.yaml/m);
+  assert.ok(exists(dir, 'app/de/page.tsx'));
+  assert.ok(!exists(dir, 'app/old') && !exists(dir, 'app/bak'));
+  assert.doesNotMatch(read(dir, 'app/en/resume.ts'), /"\/old\/"|"\/bak\/"/);
+});
+
+test('keeps a file of the user\'s own in place of the one it generates', t => {
+  const dir = project(t, MINIMAL);
+  fs.mkdirSync(path.join(dir, 'public'));
+  fs.writeFileSync(path.join(dir, 'public', 'robots.txt'), 'User-agent: *\nDisallow: /\n');
+
+  const result = run(dir, '-q');
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stderr, /Kept public\/robots\.txt/);
+  assert.equal(read(dir, 'public/robots.txt'), 'User-agent: *\nDisallow: /\n');
+  assert.ok(!JSON.parse(read(dir, 'app/.generated.json')).includes('public/robots.txt'));
+});
+
+test('--dry-run and --diff write nothing and exit with 4 when files would change', t => {
+  const dir = project(t, MINIMAL);
+  const dryRun = run(dir, '--dry-run');
+  assert.equal(dryRun.status, 4, dryRun.stderr);
+  assert.match(dryRun.stdout, /^\+ Would generate app\/page\.tsx$/m);
+  assert.ok(!exists(dir, 'app'));
+
+  assert.equal(run(dir, '-q').status, 0);
+  const unchanged = run(dir, '--dry-run');
+  assert.equal(unchanged.status, 0, unchanged.stderr);
+  assert.match(unchanged.stdout, /Nothing would change/);
+
+  fs.writeFileSync(path.join(dir, 'resume.yaml'), MINIMAL.replace('Software Engineer', 'Staff Engineer'));
+  const diff = run(dir, '--diff');
+  assert.equal(diff.status, 4, diff.stderr);
+  assert.match(diff.stdout, /^~ Would update app\/resume\.ts$/m);
+  assert.match(diff.stdout, /^--- a\/app\/resume\.ts\n\+\+\+ b\/app\/resume\.ts$/m);
+  assert.match(diff.stdout, /^- {2}title: "Software Engineer",\n\+ {2}title: "Staff Engineer",$/m);
+  assert.match(read(dir, 'app/resume.ts'), /title: "Software Engineer"/);
+});
+
+test('exits with 1 for errors, 2 for invalid usage and 3 when generating fails', t => {
+  const dir = project(t, MINIMAL);
+  assert.equal(run(dir, '--no-such-option').status, 2);
+  assert.equal(run(dir, 'publish').status, 2);
+  assert.equal(run(dir, '--config', 'missing.yaml').status, 2);
+  assert.equal(run(dir, '--variant', 'backend').status, 2);
+  assert.equal(run(dir, '--quiet', '--verbose').status, 2);
+
+  fs.writeFileSync(path.join(dir, 'invalid.yaml'), 'personal:\n  title: "Software Engineer"\n');
+  const invalid = run(dir, '--config', 'invalid.yaml');
+  assert.equal(invalid.status, 1);
+  assert.match(invalid.stderr, /invalid\.yaml:1:1 {2}personal\.name {2}missing required key "name"/);
+
+  fs.writeFileSync(path.join(dir, 'broken.js'), 'module.exports = { render() { throw new Error("broken template") } };\n');
+  fs.writeFileSync(path.join(dir, 'broken.yaml'), `${MINIMAL}template: ./broken.js\n`);
+  const failed = run(dir, '--config', 'broken.yaml');
+  assert.equal(failed.status, 3);
+  assert.match(failed.stderr, /broken template/);
+});
@@ -0,0 +1,88 @@
+/**
+ * YAML composition tests
+ * test/fixtures/compose/resume.yaml extends base.yaml, includes files from
+ * parts/ and has a resume.local.yaml that takes a value from the environment;
+ * links/ has a resume.local.yaml that replaces a list.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { readResume } = require('../generate');
+const { loadComposed, mergeOver, substituteEnv } = require('../generator/compose');
+
+const DIR = path.join(__dirname, 'fixtures', 'compose');
+const RESUME = path.join(DIR, 'resume.yaml');
+
+test('resolves extends and !include, keeping the file of every position', () => {
+  const sources = new Set();
+  const { data, positions } = loadComposed(RESUME, sources);
+
+  assert.equal(data.personal.name, 'Jane Doe');
+  assert.equal(data.personal.title, 'Senior Software Engineer');
+  assert.equal(data.summary, 'Engineer with **ten years** of experience.\n');
+  assert.equal(data.experience[0].company, 'Acme');
+  assert.equal(data.extends, undefined);
+
+  assert.equal(positions.get('personal.name').file, path.relative(process.cwd(), path.join(DIR, 'base.yaml')));
+  assert.equal(positions.get('personal.title').file, undefined);
+  assert.deepEqual(positions.get('experience[0].company'), {
+    line: 2, column: 1, file: path.relative(process.cwd(), path.join(DIR, 'parts', 'acme.yaml')),
+  });
+  assert.deepEqual([...sources].map(file => path.relative(DIR, file)).sort(), [
+    'base.yaml', path.join('parts', 'acme.yaml'), path.join('parts', 'summary.md'), 'resume.yaml',
+  ]);
+});
+
+test('reports files that include themselves', () => {
+  assert.throws(() => loadComposed(path.join(DIR, 'parts', 'loop.yaml')), {
+    name: 'ComposeError',
+    message: /loop\.yaml includes itself/,
+  });
+});
+
+test('substitutes CV_ environment variables, with defaults and $${} escapes', () => {
+  const { data, missing } = substituteEnv({
+    email: '${CV_EMAIL}',
+    lines: ['${CV_TEAM:-the team}', 'Costs in $${CV_CURRENCY}', '${CV_UNSET} and ${CV_EMAIL}'],
+  }, { CV_EMAIL: 'jane@example.com' });
+
+  assert.deepEqual(data, {
+    email: 'jane@example.com',
+    lines: ['the team', 'Costs in ${CV_CURRENCY}', '${CV_UNSET} and jane@example.com'],
+  });
+  assert.deepEqual(missing, [[['lines', 2], 'CV_UNSET']]);
+});
+
+test('leaves ${...} without the CV_ prefix as written', () => {
+  const text = 'Templates like ${name}, $${HOME} and ${GITHUB_TOKEN:-x}';
+  const { data, missing } = substituteEnv({ summary: text }, { name: 'n', HOME: '/root', GITHUB_TOKEN: 'secret' });
+  assert.deepEqual(data, { summary: text });
+  assert.deepEqual(missing, []);
+});
+
+test('merges resume.local.yaml and substitutes variables in every file', () => {
+  process.env.CV_EMAIL = 'jane@example.com';
+  try {
+    const { data, missing } = readResume(RESUME);
+    assert.deepEqual(missing, []);
+    assert.equal(data.personal.links.email.address, 'jane@example.com');
+    assert.equal(data.personal.links.github.username, 'jane');
+    assert.deepEqual(data.experience[0].responsibilities, ['Led the platform team', 'Costs in ${CV_CURRENCY} or ${CURRENCY}']);
+  } finally {
+    delete process.env.CV_EMAIL;
+  }
+});
+
+test('an override replaces lists as a whole instead of merging them entry by entry', () => {
+  const { data } = readResume(path.join(DIR, 'links', 'resume.yaml'));
+  assert.deepEqual(data.personal.links, [{ type: 'phone', url: '+1 555 0100' }]);
+  assert.equal(data.personal.name, 'Jane Doe');
+
+  // As does a file over the files it extends
+  assert.deepEqual(mergeOver(
+    { skills: { technologies: ['Go', 'Rust'], soft: ['Mentoring'] } },
+    { skills: { technologies: ['TypeScript'] } },
+  ), { skills: { technologies: ['TypeScript'], soft: ['Mentoring'] } });
+});
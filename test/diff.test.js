@@ -0,0 +1,71 @@
+/**
+ * Line diff tests
+ * unifiedDiff prints what `generate --diff` shows for every file, in the
+ * format of `git diff`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { unifiedDiff } = require('../generator/diff');
+
+// "line 1\n...line <count>\n"
+const numbered = count => Array.from({ length: count }, (_, index) => `line ${index + 1}\n`).join('');
+
+test('prints nothing for a file that did not change', () => {
+  assert.equal(unifiedDiff('app/page.tsx', 'one\ntwo\n', 'one\ntwo\n'), '');
+});
+
+test('diffs new and removed files against /dev/null', () => {
+  assert.equal(unifiedDiff('app/page.tsx', null, 'one\ntwo\n'), [
+    '--- /dev/null',
+    '+++ b/app/page.tsx',
+    '@@ -0,0 +1,2 @@',
+    '+one',
+    '+two',
+  ].join('\n'));
+  assert.equal(unifiedDiff('app/page.tsx', 'one\ntwo\n', null), [
+    '--- a/app/page.tsx',
+    '+++ /dev/null',
+    '@@ -1,2 +0,0 @@',
+    '-one',
+    '-two',
+  ].join('\n'));
+});
+
+test('shows three lines of context around a change', () => {
+  assert.equal(unifiedDiff('f.txt', numbered(12), numbered(12).replace('line 5\n', 'five\n')), [
+    '--- a/f.txt',
+    '+++ b/f.txt',
+    '@@ -2,7 +2,7 @@',
+    ' line 2',
+    ' line 3',
+    ' line 4',
+    '-line 5',
+    '+five',
+    ' line 6',
+    ' line 7',
+    ' line 8',
+  ].join('\n'));
+});
+
+test('puts changes far apart in hunks of their own', () => {
+  const after = numbered(12).replace('line 2\n', 'two\n').replace('line 11\n', '');
+  assert.equal(unifiedDiff('f.txt', numbered(12), after), [
+    '--- a/f.txt',
+    '+++ b/f.txt',
+    '@@ -1,5 +1,5 @@',
+    ' line 1',
+    '-line 2',
+    '+two',
+    ' line 3',
+    ' line 4',
+    ' line 5',
+    '@@ -8,5 +8,4 @@',
+    ' line 8',
+    ' line 9',
+    ' line 10',
+    '-line 11',
+    ' line 12',
+  ].join('\n'));
+});
@@ -0,0 +1,203 @@
+/**
+ * Generator tests
+ * Every resume in test/fixtures (and resume.example.yaml) is validated,
+ * generated with generateSite and compared with its snapshot in
+ * test/__snapshots__; the generated TypeScript is then type-checked against
+ * the components in template/ with the TypeScript compiler. Nothing is
+ * written to disk and nothing needs the network.
+ *
+ *   npm test
+ *   UPDATE_SNAPSHOTS=1 npm test    # after an intended change to the output
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const yaml = require('js-yaml');
+const ts = require('typescript');
+
+const { generateSite, validateResume } = require('../generate');
+const { resolveLocales } = require('../generator/i18n');
+const { parseInline, markdownIssues } = require('../generator/markdown');
+
+const ROOT = path.resolve(__dirname, '..');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const SNAPSHOTS_DIR = path.join(__dirname, '__snapshots__');
+const UPDATE = Boolean(process.env.UPDATE_SNAPSHOTS);
+
+// Durations of ongoing entries are computed up to this month
+const NOW = new Date(2025, 5, 15);
+
+const FIXTURES = {
+  example: path.join(ROOT, 'resume.example.yaml'),
+  ...Object.fromEntries(fs.readdirSync(FIXTURES_DIR)
+    .filter(name => name.endsWith('.yaml'))
+    .sort()
+    .map(name => [path.basename(name, '.yaml'), path.join(FIXTURES_DIR, name)])),
+};
+
+function loadFixture(file) {
+  return yaml.load(fs.readFileSync(file, 'utf8'));
+}
+
+// The generated files of a fixture, by path
+function generateFixture(name) {
+  return generateSite(loadFixture(FIXTURES[name]), { now: NOW });
+}
+
+// All files of a site in one text file, each under a "===== path =====" line
+function formatSnapshot(files) {
+  return [...files.keys()].sort().map(file => `===== ${file} =====\n${files.get(file)}`).join('\n');
+}
+
+// A missing snapshot is only written with UPDATE_SNAPSHOTS, so a snapshot
+// that was never committed fails instead of passing
+function matchSnapshot(name, actual) {
+  const file = path.join(SNAPSHOTS_DIR, `${name}.snap`);
+  if (UPDATE) {
+    fs.mkdirSync(SNAPSHOTS_DIR, { recursive: true });
+    fs.writeFileSync(file, actual);
+    return;
+  }
+  assert.ok(fs.existsSync(file), `test/__snapshots__/${name}.snap is missing; run UPDATE_SNAPSHOTS=1 npm test to write it`);
+  assert.equal(actual, fs.readFileSync(file, 'utf8'), `${name} differs from test/__snapshots__/${name}.snap; run UPDATE_SNAPSHOTS=1 npm test if the change is intended`);
+}
+
+// The object literal resume.ts exports, evaluated
+function resumeData(source) {
+  const literal = source.slice(source.indexOf('= ') + 2);
+  return vm.runInNewContext(`(${literal})`);
+}
+
+for (const name of Object.keys(FIXTURES)) {
+  test(`${name}: is a valid resume`, () => {
+    // Images live in the public/ of a site, which the repository has none of
+    const errors = validateResume(loadFixture(FIXTURES[name])).errors
+      .filter(error => !/^image ".*" not found$/.test(error.message));
+    assert.deepEqual(errors, []);
+  });
+
+  test(`${name}: matches its snapshot`, () => {
+    matchSnapshot(name, formatSnapshot(generateFixture(name)));
+  });
+
+  test(`${name}: keeps the text of resume.yaml as it is`, () => {
+    const files = generateFixture(name);
+    const locales = resolveLocales(loadFixture(FIXTURES[name]));
+    for (const { locale, resume } of locales) {
+      const file = locales.length > 1 ? `app/${locale}/resume.ts` : 'app/resume.ts';
+      const data = resumeData(files.get(file));
+      assert.equal(data.name, resume.personal.name);
+      assert.equal(data.title, resume.personal.title);
+    }
+  });
+}
+
+test('an empty resume.yaml is reported as such', () => {
+  for (const resume of [undefined, null]) {
+    assert.deepEqual(validateResume(resume).errors.map(error => [error.path, error.message]), [
+      ['', 'the file is empty, expected a mapping with "personal"'],
+    ]);
+  }
+});
+
+test('contrast is only checked for the colors a resume sets', () => {
+  const contrast = resume => [...new Set(validateResume(resume).warnings
+    .filter(warning => warning.message.includes('contrast'))
+    .map(warning => warning.path))];
+  const personal = { name: 'Jane Doe', title: 'Engineer' };
+
+  assert.deepEqual(contrast({ personal }), []);
+  assert.deepEqual(contrast(loadFixture(FIXTURES.example)), []);
+  assert.deepEqual(contrast({ personal, theme: 'forest' }), []);
+  assert.deepEqual(contrast({ personal, colors: { primary: '#777777', background: '#888888' } }), ['colors']);
+  assert.deepEqual(contrast({ personal, theme: { light: { primary: '#777777', background: '#888888' } } }), ['theme.light']);
+});
+
+test('links to another host without a scheme stay text', () => {
+  assert.deepEqual(parseInline('[a](/about) [b](//evil.com) [c](/\\evil.com)'), [
+    { type: 'link', href: '/about', external: false, children: ['a'] },
+    ' [b](//evil.com) [c](/\\evil.com)',
+  ]);
+  assert.equal(markdownIssues('[b](//evil.com)').length, 1);
+});
+
+test('variants: pick tagged content and override the title, summary and sections', () => {
+  const files = generateFixture('variants');
+  // Through JSON, as lists made in the vm context are not equal to this one's
+  const page = file => {
+    const data = JSON.parse(JSON.stringify(resumeData(files.get(file))));
+    return { data, text: JSON.stringify(data.sections) };
+  };
+
+  const main = page('app/en/resume.ts');
+  assert.equal(main.data.title, 'Software Engineer');
+  for (const text of ['design system', 'dashboard', 'Reported on churn', 'queue', 'charts', 'TypeScript']) {
+    assert.ok(main.text.includes(text), `the main page shows "${text}"`);
+  }
+
+  const backend = page('app/en/backend/resume.ts');
+  assert.equal(backend.data.title, 'Backend Engineer');
+  assert.deepEqual(backend.data.sections.map(section => section.id), ['summary', 'experience', 'projects', 'skills']);
+  assert.ok(backend.text.includes('10k messages per second'));
+  for (const text of ['design system', 'dashboard', 'ingestion', 'Reported on churn', 'charts', 'TypeScript', 'Python']) {
+    assert.ok(!backend.text.includes(text), `the backend variant leaves out "${text}"`);
+  }
+
+  const data = page('app/en/data/resume.ts');
+  assert.equal(data.data.title, 'Data Engineer');
+  for (const text of ['ingestion', 'Reported on churn', 'charts', 'Spark']) {
+    assert.ok(data.text.includes(text), `the data variant shows "${text}"`);
+  }
+  assert.ok(!data.text.includes('queue'));
+
+  // Translated bullets keep their tags
+  const german = page('app/de/backend/resume.ts');
+  assert.equal(german.data.title, 'Backend-Entwickler');
+  assert.ok(german.text.includes('Zahlungs'));
+  assert.ok(!german.text.includes('Datenpipeline') && !german.text.includes('Dashboard'));
+  assert.deepEqual(german.data.locales.map(link => link.href), ['/en/backend/', '/de/backend/']);
+});
+
+// A compiler host that serves the generated files of every fixture from
+// memory, as if they were in <root>/.fixtures/<name>/, and everything else
+// from disk
+function compilerHost(options, files) {
+  const host = ts.createCompilerHost(options);
+  const { fileExists, directoryExists, readFile, getSourceFile } = host;
+  const inMemory = dir => [...files.keys()].some(file => file.startsWith(`${dir}${path.sep}`));
+  host.fileExists = file => files.has(file) || fileExists.call(host, file);
+  host.directoryExists = dir => inMemory(dir) || directoryExists.call(host, dir);
+  host.readFile = file => (files.has(file) ? files.get(file) : readFile.call(host, file));
+  host.getSourceFile = (file, languageVersion, ...rest) => (files.has(file)
+    ? ts.createSourceFile(file, files.get(file), languageVersion, true)
+    : getSourceFile.call(host, file, languageVersion, ...rest));
+  return host;
+}
+
+test('generated TypeScript type-checks', () => {
+  const config = ts.readConfigFile(path.join(ROOT, 'tsconfig.json'), ts.sys.readFile).config;
+  const { options } = ts.convertCompilerOptionsFromJson(config.compilerOptions, ROOT);
+  // `npm run setup` (generate.js init) copies template/ into the project; here it is used in place
+  Object.assign(options, { incremental: false, paths: { '@/*': ['./template/*'] }, baseUrl: ROOT });
+
+  const files = new Map();
+  const nextEnv = path.join(ROOT, '.fixtures', 'next-env.d.ts');
+  files.set(nextEnv, '/// <reference types="next" />\n/// <reference types="next/image-types/global" />\n');
+  for (const name of Object.keys(FIXTURES)) {
+    for (const [file, content] of generateFixture(name)) {
+      if (/\.tsx?$/.test(file)) files.set(path.join(ROOT, '.fixtures', name, file), content);
+    }
+  }
+
+  const program = ts.createProgram([...files.keys()], options, compilerHost(options, files));
+  const diagnostics = ts.getPreEmitDiagnostics(program);
+  const message = ts.formatDiagnostics(diagnostics, {
+    getCanonicalFileName: file => file,
+    getCurrentDirectory: () => ROOT,
+    getNewLine: () => '\n',
+  });
+  assert.equal(diagnostics.length, 0, message);
+});